@@ -2,22 +2,25 @@
 require('dotenv').config();
 const app = require('./src/api');
 const { runMigrations } = require('./src/db/migrations');
+const { createLogger } = require('./src/services/logger');
+
+const logger = createLogger('server');
 
 const PORT = process.env.PORT || 3000;
 
 async function start() {
   try {
     // Run migrations first
-    console.log('Running database migrations...');
+    logger.info('Running database migrations...');
     await runMigrations();
-    console.log('Migrations completed successfully');
+    logger.info('Migrations completed successfully');
     
     // Then start the server
     app.listen(PORT, () => {
-      console.log(`Server running on port ${PORT}`);
+      logger.info(`Server running on port ${PORT}`);
     });
   } catch (error) {
-    console.error('Failed to start:', error);
+    logger.error('Failed to start', { error: error.message, stack: error.stack });
     process.exit(1);
   }
 }
@@ -0,0 +1,36 @@
+// migrations/006_confirmations.js
+const db = require('../src/db');
+
+async function up() {
+  // Existing rows are treated as final; rows indexed from now on start unconfirmed
+  for (const table of ['campaigns', 'donations', 'transactions', 'withdrawals']) {
+    await db.query(`
+      ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS confirmed BOOLEAN NOT NULL DEFAULT TRUE;
+    `);
+    await db.query(`
+      ALTER TABLE ${table}
+      ALTER COLUMN confirmed SET DEFAULT FALSE;
+    `);
+  }
+
+  // Track chain head and finalized block alongside the indexing cursor
+  await db.query(`
+    ALTER TABLE indexer_state
+    ADD COLUMN IF NOT EXISTS chain_head BIGINT,
+    ADD COLUMN IF NOT EXISTS finalized_block BIGINT;
+  `);
+
+  console.log('Confirmations migration completed');
+}
+
+async function down() {
+  await db.query('ALTER TABLE indexer_state DROP COLUMN IF EXISTS finalized_block, DROP COLUMN IF EXISTS chain_head');
+  for (const table of ['withdrawals', 'transactions', 'donations', 'campaigns']) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS confirmed`);
+  }
+
+  console.log('Confirmations rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// migrations/007_cross_chain_donations.js
+const db = require('../src/db');
+
+async function up() {
+  // Donations made on remote chains and relayed to the main chain via LayerZero
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS cross_chain_donations (
+      id SERIAL PRIMARY KEY,
+      source_chain VARCHAR(50) NOT NULL,
+      donation_id VARCHAR(78) NOT NULL,
+      campaign_id VARCHAR(255) NOT NULL,
+      donor VARCHAR(255) NOT NULL,
+      amount DECIMAL(24, 8) NOT NULL,
+      source_tx_hash VARCHAR(66) NOT NULL,
+      source_block_number BIGINT NOT NULL,
+      relay_status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+      dst_eid INTEGER,
+      dst_chain VARCHAR(50),
+      relay_tx_hash VARCHAR(66),
+      relay_block_number BIGINT,
+      main_donation_id INTEGER REFERENCES donations(id) ON DELETE SET NULL,
+      main_tx_hash VARCHAR(66),
+      confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT NOW(),
+      relayed_at TIMESTAMP,
+      delivered_at TIMESTAMP,
+      CONSTRAINT unique_cross_chain_donation UNIQUE (source_chain, donation_id)
+    );
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_cross_chain_donations_donor ON cross_chain_donations(LOWER(donor));
+    CREATE INDEX IF NOT EXISTS idx_cross_chain_donations_campaign ON cross_chain_donations(campaign_id);
+    CREATE INDEX IF NOT EXISTS idx_cross_chain_donations_status ON cross_chain_donations(relay_status);
+  `);
+
+  console.log('Cross-chain donations table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS cross_chain_donations');
+  console.log('Cross-chain donations table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,64 @@
+// migrations/008_event_keys.js
+const db = require('../src/db');
+
+async function up() {
+  // Log index of the event each row was derived from
+  for (const table of ['campaigns', 'donations', 'transactions', 'withdrawals']) {
+    await db.query(`
+      ALTER TABLE ${table}
+      ADD COLUMN IF NOT EXISTS log_index INTEGER;
+    `);
+  }
+
+  await db.query(`
+    ALTER TABLE cross_chain_donations
+    ADD COLUMN IF NOT EXISTS source_log_index INTEGER;
+  `);
+
+  // Rows indexed before this migration have no log index, so the unique indexes below
+  // cannot tell them apart. Earlier replays left copies of them; keep the first of each.
+  // Replays from now on take over the remaining legacy row of their event (claimLegacyRow).
+  const deleted = await db.query(`
+    DELETE FROM donations d
+    USING donations keep
+    WHERE d.log_index IS NULL AND keep.log_index IS NULL
+      AND d.chain = keep.chain AND d.tx_hash = keep.tx_hash
+      AND d.campaign_id IS NOT DISTINCT FROM keep.campaign_id
+      AND d.donor = keep.donor AND d.amount = keep.amount
+      AND d.id > keep.id
+  `);
+  const deletedTransactions = await db.query(`
+    DELETE FROM transactions t
+    USING transactions keep
+    WHERE t.log_index IS NULL AND keep.log_index IS NULL
+      AND t.chain = keep.chain AND t.tx_hash = keep.tx_hash
+      AND t.type = keep.type AND t.user_address = keep.user_address
+      AND t.campaign_id IS NOT DISTINCT FROM keep.campaign_id
+      AND t.amount IS NOT DISTINCT FROM keep.amount
+      AND t.token IS NOT DISTINCT FROM keep.token
+      AND t.target_chain IS NOT DISTINCT FROM keep.target_chain
+      AND t.id > keep.id
+  `);
+  console.log(`Removed ${deleted.rowCount} duplicate donations and ${deletedTransactions.rowCount} duplicate transactions`);
+
+  // One row per event, so replaying a block range cannot duplicate anything
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS unique_donation_event ON donations(chain, tx_hash, log_index);
+    CREATE UNIQUE INDEX IF NOT EXISTS unique_transaction_event ON transactions(chain, tx_hash, log_index);
+  `);
+
+  console.log('Event keys migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS unique_transaction_event');
+  await db.query('DROP INDEX IF EXISTS unique_donation_event');
+  await db.query('ALTER TABLE cross_chain_donations DROP COLUMN IF EXISTS source_log_index');
+  for (const table of ['withdrawals', 'transactions', 'donations', 'campaigns']) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS log_index`);
+  }
+
+  console.log('Event keys rollback completed');
+}
+
+module.exports = { up, down };
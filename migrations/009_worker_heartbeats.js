@@ -0,0 +1,26 @@
+// migrations/009_worker_heartbeats.js
+const db = require('../src/db');
+
+async function up() {
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS worker_heartbeats (
+      worker_id VARCHAR(255) PRIMARY KEY,
+      mode VARCHAR(20) NOT NULL,
+      status VARCHAR(20) NOT NULL,
+      pid INTEGER,
+      started_at TIMESTAMP DEFAULT NOW(),
+      last_heartbeat TIMESTAMP DEFAULT NOW(),
+      last_run_duration_ms INTEGER,
+      details JSONB
+    );
+  `);
+
+  console.log('Worker heartbeats table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS worker_heartbeats');
+  console.log('Worker heartbeats table rollback completed');
+}
+
+module.exports = { up, down };
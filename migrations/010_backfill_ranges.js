@@ -0,0 +1,33 @@
+// migrations/010_backfill_ranges.js
+const db = require('../src/db');
+
+async function up() {
+  // Block ranges skipped by the indexer that still need to be indexed
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS backfill_ranges (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      from_block BIGINT NOT NULL,
+      to_block BIGINT NOT NULL,
+      next_block BIGINT NOT NULL,
+      status VARCHAR(20) DEFAULT 'pending' NOT NULL,
+      reason VARCHAR(255),
+      attempts INTEGER DEFAULT 0 NOT NULL,
+      last_error TEXT,
+      created_at TIMESTAMP DEFAULT NOW(),
+      updated_at TIMESTAMP DEFAULT NOW(),
+      completed_at TIMESTAMP
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_backfill_ranges_status ON backfill_ranges(status);
+  `);
+
+  console.log('Backfill ranges table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS backfill_ranges');
+  console.log('Backfill ranges table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,34 @@
+// migrations/011_protocol_settings.js
+const db = require('../src/db');
+
+async function up() {
+  // Every governance change, newest row per setting is the current value
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS protocol_settings_history (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      event_name VARCHAR(50) NOT NULL,
+      setting_key VARCHAR(100) NOT NULL,
+      setting_value TEXT,
+      details JSONB,
+      block_number BIGINT NOT NULL,
+      log_index INTEGER NOT NULL,
+      tx_hash VARCHAR(66) NOT NULL,
+      changed_at TIMESTAMP,
+      confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+      CONSTRAINT unique_protocol_setting_event UNIQUE (chain, tx_hash, log_index)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_protocol_settings_key
+      ON protocol_settings_history(chain, setting_key, block_number DESC, log_index DESC);
+  `);
+
+  console.log('Protocol settings history table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS protocol_settings_history');
+  console.log('Protocol settings history table rollback completed');
+}
+
+module.exports = { up, down };
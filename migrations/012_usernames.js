@@ -0,0 +1,43 @@
+// migrations/012_usernames.js
+const db = require('../src/db');
+
+async function up() {
+  // setUsername emits no event, so every decoded call is kept as a change
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS username_changes (
+      id SERIAL PRIMARY KEY,
+      chain VARCHAR(50) NOT NULL,
+      address VARCHAR(42) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      tx_hash VARCHAR(66) NOT NULL,
+      block_number BIGINT NOT NULL,
+      tx_index INTEGER NOT NULL,
+      set_at TIMESTAMP,
+      confirmed BOOLEAN NOT NULL DEFAULT FALSE,
+      CONSTRAINT unique_username_change UNIQUE (chain, tx_hash)
+    );
+    
+    CREATE INDEX IF NOT EXISTS idx_username_changes_address
+      ON username_changes(address, block_number DESC, tx_index DESC);
+    CREATE INDEX IF NOT EXISTS idx_username_changes_username
+      ON username_changes(LOWER(username));
+    
+    CREATE OR REPLACE VIEW usernames AS
+      SELECT DISTINCT ON (address)
+        address, username, chain, tx_hash, block_number, set_at, confirmed
+      FROM username_changes
+      ORDER BY address, block_number DESC, tx_index DESC;
+  `);
+
+  console.log('Usernames migration completed');
+}
+
+async function down() {
+  await db.query(`
+    DROP VIEW IF EXISTS usernames;
+    DROP TABLE IF EXISTS username_changes;
+  `);
+  console.log('Usernames rollback completed');
+}
+
+module.exports = { up, down };
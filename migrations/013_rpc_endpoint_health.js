@@ -0,0 +1,35 @@
+// migrations/013_rpc_endpoint_health.js
+const db = require('../src/db');
+
+async function up() {
+  // Latest health snapshot of every RPC endpoint, written by the worker
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS rpc_endpoint_health (
+      chain VARCHAR(50) NOT NULL,
+      endpoint VARCHAR(255) NOT NULL,
+      healthy BOOLEAN NOT NULL DEFAULT TRUE,
+      score INTEGER,
+      latency_ms INTEGER,
+      error_rate NUMERIC(5, 3),
+      requests INTEGER NOT NULL DEFAULT 0,
+      failures INTEGER NOT NULL DEFAULT 0,
+      block_number BIGINT,
+      block_lag INTEGER,
+      last_error TEXT,
+      last_error_at TIMESTAMP,
+      ejected_until TIMESTAMP,
+      ejection_reason TEXT,
+      updated_at TIMESTAMP DEFAULT NOW(),
+      PRIMARY KEY (chain, endpoint)
+    );
+  `);
+
+  console.log('RPC endpoint health table migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS rpc_endpoint_health');
+  console.log('RPC endpoint health table rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+// migrations/014_rpc_log_range.js
+const db = require('../src/db');
+
+async function up() {
+  // eth_getLogs block range each endpoint has been found to accept
+  await db.query(`
+    ALTER TABLE rpc_endpoint_health ADD COLUMN IF NOT EXISTS log_range_limit INTEGER;
+  `);
+
+  console.log('RPC log range migration completed');
+}
+
+async function down() {
+  await db.query('ALTER TABLE rpc_endpoint_health DROP COLUMN IF EXISTS log_range_limit');
+  console.log('RPC log range rollback completed');
+}
+
+module.exports = { up, down };
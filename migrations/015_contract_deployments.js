@@ -0,0 +1,45 @@
+// migrations/015_contract_deployments.js
+const db = require('../src/db');
+
+async function up() {
+  // Campaigns keep their namespaced id; deployment and on-chain id are stored separately
+  await db.query(`
+    ALTER TABLE campaigns
+      ADD COLUMN IF NOT EXISTS deployment_id VARCHAR(100),
+      ADD COLUMN IF NOT EXISTS onchain_id VARCHAR(255);
+  `);
+
+  // Contract deployment that emitted each indexed row
+  for (const table of ['donations', 'transactions', 'withdrawals', 'cross_chain_donations', 'protocol_settings_history']) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN IF NOT EXISTS deployment_id VARCHAR(100)`);
+  }
+
+  // Rows indexed so far come from each chain's original contract, whose deployment id
+  // defaults to the network name
+  await db.query(`
+    UPDATE campaigns SET deployment_id = chain, onchain_id = id WHERE deployment_id IS NULL;
+  `);
+  for (const table of ['donations', 'transactions', 'withdrawals', 'protocol_settings_history']) {
+    await db.query(`UPDATE ${table} SET deployment_id = chain WHERE deployment_id IS NULL`);
+  }
+  await db.query(`
+    UPDATE cross_chain_donations SET deployment_id = source_chain WHERE deployment_id IS NULL;
+  `);
+
+  await db.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_campaigns_deployment ON campaigns(deployment_id, onchain_id);
+  `);
+
+  console.log('Contract deployments migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_campaigns_deployment');
+  for (const table of ['protocol_settings_history', 'cross_chain_donations', 'withdrawals', 'transactions', 'donations']) {
+    await db.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS deployment_id`);
+  }
+  await db.query('ALTER TABLE campaigns DROP COLUMN IF EXISTS onchain_id, DROP COLUMN IF EXISTS deployment_id');
+  console.log('Contract deployments rollback completed');
+}
+
+module.exports = { up, down };
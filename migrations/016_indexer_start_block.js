@@ -0,0 +1,34 @@
+// migrations/016_indexer_start_block.js
+const db = require('../src/db');
+
+async function up() {
+  // Where each chain's history starts (configured or discovered deploy block) and
+  // when the initial sync from there started and reached the chain head
+  await db.query(`
+    ALTER TABLE indexer_state
+      ADD COLUMN IF NOT EXISTS start_block BIGINT,
+      ADD COLUMN IF NOT EXISTS start_block_source VARCHAR(20),
+      ADD COLUMN IF NOT EXISTS sync_started_at TIMESTAMP,
+      ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP;
+  `);
+
+  // Chains indexed before this migration are already following the head
+  await db.query(`
+    UPDATE indexer_state SET synced_at = updated_at WHERE synced_at IS NULL;
+  `);
+
+  console.log('Indexer start block migration completed');
+}
+
+async function down() {
+  await db.query(`
+    ALTER TABLE indexer_state
+      DROP COLUMN IF EXISTS synced_at,
+      DROP COLUMN IF EXISTS sync_started_at,
+      DROP COLUMN IF EXISTS start_block_source,
+      DROP COLUMN IF EXISTS start_block;
+  `);
+  console.log('Indexer start block rollback completed');
+}
+
+module.exports = { up, down };
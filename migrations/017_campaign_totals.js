@@ -0,0 +1,90 @@
+// migrations/017_campaign_totals.js
+const db = require('../src/db');
+
+async function up() {
+  // Campaign totals are an aggregate of the donations ledger; the contract's final
+  // value of an ended campaign is kept separately instead of replacing the total.
+  // On campaigns whose donations were partly made before indexing began,
+  // pre_index_amount is the total they had raised up to pre_index_block (the chain's
+  // indexed block at this migration). Ledger donations up to that block count against it
+  // as a backfill brings them in; unledgered_amount is the part still unaccounted for.
+  await db.query(`
+    ALTER TABLE campaigns
+      ADD COLUMN IF NOT EXISTS donation_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS donor_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN IF NOT EXISTS final_amount DECIMAL(24, 8),
+      ADD COLUMN IF NOT EXISTS pre_index_amount DECIMAL(24, 8),
+      ADD COLUMN IF NOT EXISTS pre_index_block BIGINT,
+      ADD COLUMN IF NOT EXISTS unledgered_amount DECIMAL(24, 8) NOT NULL DEFAULT 0;
+  `);
+
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_campaign ON donations(campaign_id);
+  `);
+
+  // Ended campaigns hold the final value in amount_raised so far
+  await db.query(`
+    UPDATE campaigns SET final_amount = amount_raised WHERE ended AND final_amount IS NULL;
+  `);
+
+  // The ledger covers a campaign's full history when its chain was indexed from a known
+  // start block at or before the campaign's creation, with no open backfill after it.
+  // Elsewhere the stored total is kept as the pre-index amount and the difference
+  // recorded as unledgered.
+  await db.query(`
+    UPDATE campaigns c SET
+      amount_raised = CASE WHEN covered THEN ledger_amount ELSE GREATEST(c.amount_raised, ledger_amount) END,
+      pre_index_amount = CASE WHEN covered THEN NULL ELSE GREATEST(c.amount_raised, ledger_amount) END,
+      pre_index_block = CASE WHEN covered THEN NULL ELSE indexed_block END,
+      unledgered_amount = CASE WHEN covered THEN 0 ELSE GREATEST(c.amount_raised - ledger_amount, 0) END,
+      donation_count = t.donation_count,
+      donor_count = t.donor_count
+    FROM (
+      SELECT c2.id,
+        (SELECT s.last_indexed_block FROM indexer_state s WHERE s.chain = c2.chain) AS indexed_block,
+        COALESCE(SUM(d.amount), 0) AS ledger_amount,
+        COUNT(d.id) AS donation_count,
+        COUNT(DISTINCT LOWER(d.donor)) AS donor_count,
+        (
+          EXISTS (
+            SELECT 1 FROM indexer_state s
+            WHERE s.chain = c2.chain AND s.start_block IS NOT NULL AND c2.block_number >= s.start_block
+          ) AND NOT EXISTS (
+            SELECT 1 FROM backfill_ranges b
+            WHERE b.chain = c2.chain AND b.status <> 'completed' AND b.to_block >= c2.block_number
+          )
+        ) AS covered
+      FROM campaigns c2
+      LEFT JOIN donations d ON d.campaign_id = c2.id
+      GROUP BY c2.id
+    ) t
+    WHERE c.id = t.id;
+  `);
+
+  const partial = await db.query('SELECT COUNT(*) FROM campaigns WHERE unledgered_amount <> 0');
+  if (parseInt(partial.rows[0].count) > 0) {
+    console.log(`${partial.rows[0].count} campaigns keep donations from before the indexed history; run npm run verify-totals for details`);
+  }
+
+  console.log('Campaign totals migration completed');
+}
+
+async function down() {
+  // Ended campaigns go back to showing their final value
+  await db.query(`
+    UPDATE campaigns SET amount_raised = final_amount WHERE final_amount IS NOT NULL;
+  `);
+  await db.query('DROP INDEX IF EXISTS idx_donations_campaign');
+  await db.query(`
+    ALTER TABLE campaigns
+      DROP COLUMN IF EXISTS unledgered_amount,
+      DROP COLUMN IF EXISTS pre_index_block,
+      DROP COLUMN IF EXISTS pre_index_amount,
+      DROP COLUMN IF EXISTS final_amount,
+      DROP COLUMN IF EXISTS donor_count,
+      DROP COLUMN IF EXISTS donation_count;
+  `);
+  console.log('Campaign totals rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+// migrations/018_cross_chain_matching.js
+const db = require('../src/db');
+
+async function up() {
+  // Main-chain donations are looked up by campaign, donor and amount when matching
+  // relayed cross-chain donations to the donation that delivered them
+  await db.query(`
+    CREATE INDEX IF NOT EXISTS idx_donations_match
+      ON donations(campaign_id, LOWER(donor), amount);
+  `);
+
+  console.log('Cross-chain matching index migration completed');
+}
+
+async function down() {
+  await db.query('DROP INDEX IF EXISTS idx_donations_match');
+  console.log('Cross-chain matching index rollback completed');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,37 @@
+// migrations/019_alert_state.js
+const db = require('../src/db');
+
+async function up() {
+  // Alerts notified within their cooldown (and condition alerts until resolved), shared by
+  // every process so one-shot runs keep de-duplication and cooldowns
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alert_state (
+      id VARCHAR(255) PRIMARY KEY,
+      rule VARCHAR(50) NOT NULL,
+      alert_key VARCHAR(255) NOT NULL,
+      title TEXT NOT NULL,
+      condition BOOLEAN NOT NULL DEFAULT FALSE,
+      last_sent_at TIMESTAMP NOT NULL DEFAULT NOW(),
+      suppressed INTEGER NOT NULL DEFAULT 0
+    );
+  `);
+
+  // Consecutive failures behind counting rules, e.g. failed indexing runs per network
+  await db.query(`
+    CREATE TABLE IF NOT EXISTS alert_counters (
+      name VARCHAR(255) PRIMARY KEY,
+      count INTEGER NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT NOW()
+    );
+  `);
+
+  console.log('Alert state migration completed');
+}
+
+async function down() {
+  await db.query('DROP TABLE IF EXISTS alert_counters');
+  await db.query('DROP TABLE IF EXISTS alert_state');
+  console.log('Alert state rollback completed');
+}
+
+module.exports = { up, down };
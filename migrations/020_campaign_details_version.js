@@ -0,0 +1,37 @@
+// migrations/020_campaign_details_version.js
+const db = require('../src/db');
+
+async function up() {
+  // Event the campaign's editable details were last taken from, so a replay of an
+  // older CampaignCreated/CampaignEdited event cannot roll them back
+  await db.query(`
+    ALTER TABLE campaigns
+    ADD COLUMN IF NOT EXISTS details_block_number BIGINT,
+    ADD COLUMN IF NOT EXISTS details_log_index INTEGER;
+  `);
+
+  // Latest recorded edit of each campaign, otherwise its creation
+  const result = await db.query(`
+    UPDATE campaigns c SET
+      details_block_number = COALESCE(e.block_number, c.block_number),
+      details_log_index = CASE WHEN e.block_number IS NULL THEN c.log_index ELSE e.log_index END
+    FROM campaigns c2
+    LEFT JOIN LATERAL (
+      SELECT block_number, log_index FROM transactions t
+      WHERE t.campaign_id = c2.id AND t.type = 'Campaign Edited' AND t.block_number IS NOT NULL
+      ORDER BY t.block_number DESC, t.log_index DESC NULLS LAST
+      LIMIT 1
+    ) e ON TRUE
+    WHERE c2.id = c.id AND c.details_block_number IS NULL
+  `);
+
+  console.log(`Campaign details version migration completed (${result.rowCount} campaigns)`);
+}
+
+async function down() {
+  await db.query('ALTER TABLE campaigns DROP COLUMN IF EXISTS details_log_index');
+  await db.query('ALTER TABLE campaigns DROP COLUMN IF EXISTS details_block_number');
+  console.log('Campaign details version rollback completed');
+}
+
+module.exports = { up, down };
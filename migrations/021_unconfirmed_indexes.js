@@ -0,0 +1,36 @@
+// migrations/021_unconfirmed_indexes.js
+const db = require('../src/db');
+
+// Tables confirmBlocks promotes, with the columns it filters them on
+const UNCONFIRMED_TABLES = [
+  { table: 'campaigns', chainColumn: 'chain', blockColumn: 'block_number' },
+  { table: 'donations', chainColumn: 'chain', blockColumn: 'block_number' },
+  { table: 'transactions', chainColumn: 'chain', blockColumn: 'block_number' },
+  { table: 'withdrawals', chainColumn: 'chain', blockColumn: 'block_number' },
+  { table: 'cross_chain_donations', chainColumn: 'source_chain', blockColumn: 'source_block_number' },
+  { table: 'protocol_settings_history', chainColumn: 'chain', blockColumn: 'block_number' },
+  { table: 'username_changes', chainColumn: 'chain', blockColumn: 'block_number' }
+];
+
+async function up() {
+  // Only the handful of rows inside the confirmation depth are unconfirmed, so partial
+  // indexes keep each confirmBlocks pass from scanning the whole table
+  for (const { table, chainColumn, blockColumn } of UNCONFIRMED_TABLES) {
+    await db.query(`
+      CREATE INDEX IF NOT EXISTS idx_${table}_unconfirmed
+      ON ${table}(${chainColumn}, ${blockColumn}) WHERE confirmed = FALSE;
+    `);
+  }
+
+  console.log('Unconfirmed indexes migration completed');
+}
+
+async function down() {
+  for (const { table } of UNCONFIRMED_TABLES) {
+    await db.query(`DROP INDEX IF EXISTS idx_${table}_unconfirmed`);
+  }
+
+  console.log('Unconfirmed indexes rollback completed');
+}
+
+module.exports = { up, down };
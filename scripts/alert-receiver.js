@@ -0,0 +1,61 @@
+// scripts/alert-receiver.js
+require('dotenv').config();
+const http = require('http');
+
+// Local stand-in for a Slack webhook: point ALERT_WEBHOOK_URLS at http://localhost:<port>
+// and every alert the indexer sends is printed here
+const PORT = parseInt(process.env.ALERT_RECEIVER_PORT || '9466');
+
+function printAlert(payload) {
+  console.log(`[${new Date().toISOString()}] ${payload.text}`);
+  for (const attachment of payload.attachments || []) {
+    if (attachment.text) {
+      console.log(attachment.text.split('\n').map(line => `    ${line}`).join('\n'));
+    }
+    for (const field of attachment.fields || []) {
+      console.log(`    ${field.title}: ${field.value}`);
+    }
+  }
+}
+
+function main() {
+  const server = http.createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.statusCode = 404;
+      return res.end('Not found\n');
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      try {
+        printAlert(JSON.parse(body));
+        res.statusCode = 200;
+        res.end('ok');
+      } catch (error) {
+        console.error(`Rejected a request that is not JSON: ${error.message}`);
+        res.statusCode = 400;
+        res.end('invalid_payload');
+      }
+    });
+  });
+
+  server.on('error', (error) => {
+    console.error(`Alert receiver failed: ${error.message}`);
+    process.exit(1);
+  });
+
+  server.listen(PORT, () => {
+    console.log(`Alert receiver listening on http://localhost:${PORT}. Press Ctrl+C to exit.`);
+  });
+
+  process.on('SIGINT', () => {
+    console.log('Alert receiver stopping...');
+    process.exit(0);
+  });
+}
+
+// Run the script
+main();
@@ -2,9 +2,16 @@
 require('dotenv').config();
 const { monitorDirectDonations } = require('../src/services/directDonationMonitor');
 const { initialize } = require('../src/services/blockchain');
+const { startMetricsServer } = require('../src/services/metrics');
+const { createLogger } = require('../src/services/logger');
+
+const logger = createLogger('direct-donation-monitor');
+
+// Prometheus /metrics of the monitor (0 disables it)
+const METRICS_PORT = parseInt(process.env.MONITOR_METRICS_PORT || '9465');
 
 async function main() {
-  console.log('Starting direct donation monitor');
+  logger.info('Starting direct donation monitor');
   
   try {
     // Initialize blockchain service
@@ -14,20 +21,23 @@ async function main() {
     const success = await monitorDirectDonations();
     
     if (success) {
-      console.log('Direct donation monitor running. Press Ctrl+C to exit.');
+      logger.info('Direct donation monitor running. Press Ctrl+C to exit.');
+      
+      if (METRICS_PORT > 0) {
+        startMetricsServer(METRICS_PORT, (message, level) => logger.log(level, message));
+      }
       
       // Keep the process running
       process.on('SIGINT', () => {
-        console.log('Direct donation monitor stopping...');
+        logger.info('Direct donation monitor stopping...');
         process.exit(0);
       });
     } else {
-      console.error('Failed to start direct donation monitor');
+      logger.error('Failed to start direct donation monitor');
       process.exit(1);
     }
   } catch (error) {
-    console.error('Error starting direct donation monitor:', error);
-    console.error(error.stack);
+    logger.error('Error starting direct donation monitor', { error: error.message, stack: error.stack });
     process.exit(1);
   }
 }
@@ -18,7 +18,7 @@ async function main() {
     
     console.log(`Reconciliation summary:`);
     console.log(`- Total campaigns: ${results.total}`);
-    console.log(`- Updated: ${results.updated}`);
+    console.log(`- Discrepancies: ${results.discrepancies}`);
     console.log(`- Matched: ${results.matched}`);
     console.log(`- Errors: ${results.errors}`);
     
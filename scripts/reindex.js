@@ -0,0 +1,99 @@
+// scripts/reindex.js
+require('dotenv').config();
+const { initialize } = require('../src/services/blockchain');
+const { reindexRange } = require('../src/services/reindex');
+
+const USAGE = 'Usage: npm run reindex -- --chain <network> --from <block> --to <block> [--dry-run]';
+const MAX_LISTED_KEYS = 20; // Row keys printed per table and change type
+
+// --name value pairs and bare --flags
+function parseArgs(argv) {
+  const args = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      throw new Error(`Unexpected argument "${argv[i]}"`);
+    }
+    const name = argv[i].slice(2);
+    if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      args[name] = argv[++i];
+    } else {
+      args[name] = true;
+    }
+  }
+
+  return args;
+}
+
+function parseBlock(value, name) {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    throw new Error(`--${name} must be a block number`);
+  }
+  return parseInt(value, 10);
+}
+
+function printSummary(summary) {
+  const { tables, campaignTotals } = summary.changes;
+
+  console.log(`${summary.dryRun ? 'Dry run of reindex' : 'Reindex'} of ${summary.network} blocks ${summary.fromBlock}-${summary.toBlock}:`);
+  console.log('Removed before replay:');
+  for (const [key, count] of Object.entries(summary.removed)) {
+    console.log(`- ${key}: ${count}`);
+  }
+
+  console.log('Rows in range (before -> after):');
+  for (const [table, change] of Object.entries(tables)) {
+    console.log(`- ${table}: ${change.before} -> ${change.after}`);
+    for (const type of ['added', 'removed', 'changed']) {
+      if (change[type].length === 0) continue;
+      const listed = change[type].slice(0, MAX_LISTED_KEYS).join(', ');
+      const more = change[type].length > MAX_LISTED_KEYS ? ` (+${change[type].length - MAX_LISTED_KEYS} more)` : '';
+      console.log(`    ${type}: ${listed}${more}`);
+    }
+  }
+
+  console.log(`Campaign totals changed: ${campaignTotals.length}`);
+  for (const { id, before, after } of campaignTotals) {
+    const describe = totals => totals ?
+      `${totals.amountRaised} from ${totals.donationCount} donations${totals.ended ? ' (ended)' : ''}` :
+      'none';
+    console.log(`- ${id}: ${describe(before)} -> ${describe(after)}`);
+  }
+
+  if (summary.dryRun) {
+    console.log('Dry run: no changes were written');
+  }
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs(process.argv.slice(2));
+    args.from = parseBlock(args.from, 'from');
+    args.to = parseBlock(args.to, 'to');
+    if (typeof args.chain !== 'string') {
+      throw new Error('--chain is required');
+    }
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    // Initialize blockchain service
+    initialize();
+
+    const summary = await reindexRange(args.chain, args.from, args.to, { dryRun: args['dry-run'] === true });
+    printSummary(summary);
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`Reindex failed: ${error.message}`);
+    console.error(error.stack);
+    process.exit(1);
+  }
+}
+
+// Run the script
+main();
@@ -4,14 +4,62 @@ const cors = require('cors');
 const rateLimit = require('express-rate-limit');
 const db = require('../db');
 const { getIndexerStatus } = require('../../worker');
+const { NETWORKS } = require('../services/blockchain');
 const { generateCampaignWallet } = require('../services/walletGenerator');
+const { createHistogram, metricsHandler } = require('../services/metrics');
+const { getLiveness, getReadiness } = require('../services/health');
+const { createLogger, withLogContext, newCorrelationId } = require('../services/logger');
+
+const logger = createLogger('api');
+
+// Caller-supplied request ids are kept only if they look like ids
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
 
 const app = express();
 
+// Request durations per route pattern, so ids in paths do not multiply the series
+const requestDuration = createHistogram('fundit_api_request_duration_seconds', 'API request duration per route', ['method', 'route', 'status']);
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
+// Correlation id per request: taken from X-Request-Id or generated, echoed back, and
+// attached to every entry logged while the request is handled
+app.use((req, res, next) => {
+  const requested = req.get('X-Request-Id');
+  req.id = requested && REQUEST_ID_PATTERN.test(requested) ? requested : newCorrelationId();
+  res.set('X-Request-Id', req.id);
+  withLogContext({ correlationId: req.id, method: req.method, path: req.path }, next);
+});
+
+app.use((req, res, next) => {
+  const stopTimer = requestDuration.startTimer({ method: req.method });
+  res.on('finish', () => {
+    stopTimer({ route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched', status: res.statusCode });
+  });
+  next();
+});
+
+// Prometheus metrics and health probes, ahead of the rate limiter so they are never limited
+app.get('/metrics', metricsHandler);
+
+// Liveness: the process is up
+app.get('/healthz', (req, res) => {
+  res.json(getLiveness());
+});
+
+// Readiness: 503 while the database, schema or indexer is not in a state to serve traffic
+app.get('/readyz', async (req, res) => {
+  try {
+    const readiness = await getReadiness();
+    res.status(readiness.ready ? 200 : 503).json(readiness);
+  } catch (error) {
+    logger.error('Error checking readiness', { error: error.message, stack: error.stack });
+    res.status(503).json({ ready: false, status: 'not_ready', error: 'Failed to check readiness' });
+  }
+});
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
@@ -26,7 +74,7 @@ app.get('/api/indexer-status', async (req, res) => {
     const status = await getIndexerStatus();
     res.json(status);
   } catch (error) {
-    console.error('Error getting indexer status:', error);
+    logger.error('Error getting indexer status', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch indexer status' });
   }
 });
@@ -54,7 +102,8 @@ app.get('/api/campaigns/search', async (req, res) => {
       
       // If we found an exact ID match, return just that campaign
       if (exactMatch.rows.length > 0) {
-        const campaigns = exactMatch.rows.map(formatCampaign);
+        const usernames = await getUsernames(exactMatch.rows.map(row => row.creator));
+        const campaigns = exactMatch.rows.map(row => formatCampaign(row, usernames));
         
         return res.json({
           campaigns,
@@ -99,7 +148,8 @@ app.get('/api/campaigns/search', async (req, res) => {
     const total = parseInt(countResult.rows[0].count);
     
     // Format campaigns
-    const campaigns = result.rows.map(formatCampaign);
+    const usernames = await getUsernames(result.rows.map(row => row.creator));
+    const campaigns = result.rows.map(row => formatCampaign(row, usernames));
     
     res.json({
       campaigns,
@@ -111,7 +161,7 @@ app.get('/api/campaigns/search', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error searching campaigns:', error);
+    logger.error('Error searching campaigns', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to search campaigns' });
   }
 });
@@ -145,7 +195,8 @@ app.get('/api/campaigns', async (req, res) => {
     );
     
     // Format response
-    const campaigns = result.rows.map(formatCampaign);
+    const usernames = await getUsernames(result.rows.map(row => row.creator));
+    const campaigns = result.rows.map(row => formatCampaign(row, usernames));
     
     res.json({
       campaigns,
@@ -157,7 +208,7 @@ app.get('/api/campaigns', async (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Error getting campaigns:', error);
+    logger.error('Error getting campaigns', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch campaigns' });
   }
 });
@@ -174,11 +225,12 @@ app.get('/api/campaigns/:id', async (req, res) => {
       return res.status(404).json({ error: 'Campaign not found' });
     }
     
-    const campaign = formatCampaign(result.rows[0]);
+    const usernames = await getUsernames([result.rows[0].creator]);
+    const campaign = formatCampaign(result.rows[0], usernames);
     
     res.json(campaign);
   } catch (error) {
-    console.error('Error getting campaign:', error);
+    logger.error('Error getting campaign', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch campaign' });
   }
 });
@@ -200,6 +252,7 @@ app.get('/api/transactions/:address', async (req, res) => {
     );
     
     // Format transactions
+    const usernames = await getUsernames(result.rows.map(row => row.user_address));
     const transactions = result.rows.map(row => ({
       id: row.id,
       type: row.type,
@@ -207,13 +260,17 @@ app.get('/api/transactions/:address', async (req, res) => {
       token: row.token || 'USD',
       chain: row.chain,
       date: row.timestamp,
-      status: 'Completed',
-      txhash: row.tx_hash
+      status: row.confirmed ? 'Completed' : 'Pending Confirmation',
+      confirmed: row.confirmed,
+      blockNumber: row.block_number ? parseInt(row.block_number) : null,
+      txhash: row.tx_hash,
+      userAddress: row.user_address,
+      username: usernames.get(row.user_address.toLowerCase()) || null
     }));
     
     res.json(transactions);
   } catch (error) {
-    console.error('Error getting transactions:', error);
+    logger.error('Error getting transactions', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 });
@@ -231,28 +288,57 @@ app.get('/api/user-campaigns/:address', async (req, res) => {
     );
     
     // Format campaigns
-    const campaigns = result.rows.map(formatCampaign);
+    const usernames = await getUsernames(result.rows.map(row => row.creator));
+    const campaigns = result.rows.map(row => formatCampaign(row, usernames));
     
     res.json(campaigns);
   } catch (error) {
-    console.error('Error getting user campaigns:', error);
+    logger.error('Error getting user campaigns', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch user campaigns' });
   }
 });
 
+// Current usernames for a list of addresses, keyed by lowercase address
+async function getUsernames(addresses) {
+  const lookup = [...new Set(addresses.filter(Boolean).map(address => address.toLowerCase()))];
+  const usernames = new Map();
+  
+  if (lookup.length === 0) {
+    return usernames;
+  }
+  
+  const result = await db.query(
+    'SELECT address, username FROM usernames WHERE address = ANY($1)',
+    [lookup]
+  );
+  
+  for (const row of result.rows) {
+    usernames.set(row.address, row.username);
+  }
+  
+  return usernames;
+}
+
 // Helper function to format campaign data
-function formatCampaign(row) {
+function formatCampaign(row, usernames = new Map()) {
   return {
     id: row.id,
+    deploymentId: row.deployment_id,
+    onchainId: row.onchain_id,
     title: row.name,
     description: row.description,
     image: row.image_id,
     amountRaised: parseFloat(row.amount_raised),
+    donationCount: row.donation_count,
+    donorCount: row.donor_count,
+    finalAmount: row.final_amount === null ? null : parseFloat(row.final_amount),
     targetAmount: parseFloat(row.target_amount),
     createdAt: row.created_at,
     status: row.ended ? 'Ended' : 'Ongoing',
     creator: row.creator,
-    moreinfo: row.social_link
+    creatorUsername: usernames.get(row.creator.toLowerCase()) || null,
+    moreinfo: row.social_link,
+    confirmed: row.confirmed
   };
 }
 
@@ -275,13 +361,16 @@ app.get('/api/campaigns/:id/direct-wallet', async (req, res) => {
       [req.params.id]
     );
     
+    // Direct donations are made on the main chain in its native token
+    const mainNetwork = Object.keys(NETWORKS).find(key => NETWORKS[key].isMain);
+    
     if (walletResult.rows.length > 0) {
       // Return existing wallet
       return res.json({
         campaign_id: req.params.id,
         wallet_address: walletResult.rows[0].wallet_address,
-        network: 'polygon',
-        token: 'POL'
+        network: mainNetwork,
+        token: NETWORKS[mainNetwork].nativeToken
       });
     }
     
@@ -303,11 +392,11 @@ app.get('/api/campaigns/:id/direct-wallet', async (req, res) => {
     res.json({
       campaign_id: req.params.id,
       wallet_address: wallet.address,
-      network: 'polygon',
-      token: 'MATIC'
+      network: mainNetwork,
+      token: NETWORKS[mainNetwork].nativeToken
     });
   } catch (error) {
-    console.error('Error generating campaign wallet:', error);
+    logger.error('Error generating campaign wallet', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to generate wallet' });
   }
 });
@@ -325,9 +414,428 @@ app.get('/api/campaigns/:id/direct-donations', async (req, res) => {
     
     res.json(result.rows);
   } catch (error) {
-    console.error('Error getting direct donations:', error);
+    logger.error('Error getting direct donations', { error: error.message, stack: error.stack });
     res.status(500).json({ error: 'Failed to fetch direct donations' });
   }
 });
 
+// Helper function to format cross-chain donation data
+function formatCrossChainDonation(row, usernames = new Map()) {
+  return {
+    id: row.id,
+    donationId: row.donation_id,
+    campaignId: row.campaign_id,
+    donor: row.donor,
+    donorUsername: usernames.get(row.donor.toLowerCase()) || null,
+    amount: parseFloat(row.amount),
+    sourceChain: row.source_chain,
+    sourceTxHash: row.source_tx_hash,
+    relayStatus: row.relay_status,
+    destinationChain: row.dst_chain,
+    relayTxHash: row.relay_tx_hash,
+    mainTxHash: row.main_tx_hash,
+    confirmed: row.confirmed,
+    createdAt: row.created_at,
+    relayedAt: row.relayed_at,
+    deliveredAt: row.delivered_at
+  };
+}
+
+// Get cross-chain donations made by a donor, before and after they reach the main chain
+app.get('/api/cross-chain-donations/:address', async (req, res) => {
+  try {
+    const address = req.params.address;
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+    const offset = (page - 1) * limit;
+    
+    const result = await db.query(
+      `SELECT * FROM cross_chain_donations
+       WHERE LOWER(donor) = LOWER($1)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [address, limit, offset]
+    );
+    
+    const usernames = await getUsernames(result.rows.map(row => row.donor));
+    res.json(result.rows.map(row => formatCrossChainDonation(row, usernames)));
+  } catch (error) {
+    logger.error('Error getting cross-chain donations', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch cross-chain donations' });
+  }
+});
+
+// Get cross-chain donations for a campaign
+app.get('/api/campaigns/:id/cross-chain-donations', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT * FROM cross_chain_donations
+       WHERE campaign_id = $1
+       ORDER BY created_at DESC`,
+      [req.params.id]
+    );
+    
+    const usernames = await getUsernames(result.rows.map(row => row.donor));
+    res.json(result.rows.map(row => formatCrossChainDonation(row, usernames)));
+  } catch (error) {
+    logger.error('Error getting campaign cross-chain donations', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch cross-chain donations' });
+  }
+});
+
+// Settings whose value is an address with a possible username
+const ADDRESS_SETTINGS = ['owner', 'fee_wallet', 'vault_wallet'];
+
+function lookupUsername(usernames, address) {
+  return (address && usernames.get(address.toLowerCase())) || null;
+}
+
+// Current value of every protocol setting, optionally for a single chain
+async function getCurrentProtocolSettings(chain) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (chain, setting_key) *
+     FROM protocol_settings_history
+     WHERE ($1::text IS NULL OR chain = $1)
+     ORDER BY chain, setting_key, block_number DESC, log_index DESC`,
+    [chain || null]
+  );
+  
+  const settings = {};
+  
+  for (const row of result.rows) {
+    if (!settings[row.chain]) {
+      settings[row.chain] = {
+        featuredCampaign: null,
+        feeBasisPoints: null,
+        feePercent: null,
+        feeWallet: null,
+        feeWalletUsername: null,
+        vaultWallet: null,
+        vaultWalletUsername: null,
+        owner: null,
+        ownerUsername: null,
+        paused: false,
+        priceFeeds: [],
+        peers: []
+      };
+    }
+    
+    const chainSettings = settings[row.chain];
+    const details = row.details || {};
+    
+    if (row.setting_key === 'featured_campaign') {
+      chainSettings.featuredCampaign = row.setting_value;
+    } else if (row.setting_key === 'fee_basis_points') {
+      chainSettings.feeBasisPoints = parseInt(row.setting_value);
+      chainSettings.feePercent = parseInt(row.setting_value) / 100;
+    } else if (row.setting_key === 'fee_wallet') {
+      chainSettings.feeWallet = row.setting_value;
+    } else if (row.setting_key === 'vault_wallet') {
+      chainSettings.vaultWallet = row.setting_value;
+    } else if (row.setting_key === 'owner') {
+      chainSettings.owner = row.setting_value;
+    } else if (row.setting_key === 'paused') {
+      chainSettings.paused = row.setting_value === 'true';
+    } else if (row.setting_key.startsWith('price_feed:')) {
+      // A zero price feed removes the token
+      if (row.setting_value !== '0x0000000000000000000000000000000000000000') {
+        chainSettings.priceFeeds.push({
+          token: details.token,
+          priceFeed: row.setting_value,
+          updatedAt: row.changed_at
+        });
+      }
+    } else if (row.setting_key.startsWith('peer:')) {
+      // A zero peer disconnects the endpoint
+      if (!/^0x0*$/.test(row.setting_value)) {
+        chainSettings.peers.push({
+          eid: details.eid,
+          chain: details.chain,
+          peer: row.setting_value,
+          peerAddress: '0x' + row.setting_value.slice(-40),
+          updatedAt: row.changed_at
+        });
+      }
+    }
+  }
+  
+  const usernames = await getUsernames(Object.values(settings).flatMap(chainSettings => [
+    chainSettings.owner,
+    chainSettings.feeWallet,
+    chainSettings.vaultWallet
+  ]));
+  for (const chainSettings of Object.values(settings)) {
+    chainSettings.ownerUsername = lookupUsername(usernames, chainSettings.owner);
+    chainSettings.feeWalletUsername = lookupUsername(usernames, chainSettings.feeWallet);
+    chainSettings.vaultWalletUsername = lookupUsername(usernames, chainSettings.vaultWallet);
+  }
+  
+  return settings;
+}
+
+// Helper function to format protocol setting history rows
+function formatProtocolSettingChange(row, usernames = new Map()) {
+  return {
+    id: row.id,
+    chain: row.chain,
+    event: row.event_name,
+    setting: row.setting_key,
+    value: row.setting_value,
+    username: ADDRESS_SETTINGS.includes(row.setting_key) ? lookupUsername(usernames, row.setting_value) : null,
+    details: row.details,
+    blockNumber: parseInt(row.block_number),
+    txhash: row.tx_hash,
+    changedAt: row.changed_at,
+    confirmed: row.confirmed
+  };
+}
+
+// Get current protocol settings for every chain (or ?chain=)
+app.get('/api/protocol/settings', async (req, res) => {
+  try {
+    const settings = await getCurrentProtocolSettings(req.query.chain);
+    
+    if (req.query.chain) {
+      return res.json(settings[req.query.chain] || {});
+    }
+    
+    res.json(settings);
+  } catch (error) {
+    logger.error('Error getting protocol settings', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch protocol settings' });
+  }
+});
+
+// Get the currently featured campaign
+app.get('/api/protocol/featured-campaign', async (req, res) => {
+  try {
+    const mainNetwork = Object.keys(NETWORKS).find(key => NETWORKS[key].isMain);
+    const settings = await getCurrentProtocolSettings(mainNetwork);
+    const featuredId = settings[mainNetwork] && settings[mainNetwork].featuredCampaign;
+    
+    if (!featuredId || featuredId === '0') {
+      return res.status(404).json({ error: 'No featured campaign' });
+    }
+    
+    const result = await db.query(
+      'SELECT * FROM campaigns WHERE id = $1',
+      [featuredId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Featured campaign not found' });
+    }
+    
+    const usernames = await getUsernames([result.rows[0].creator]);
+    res.json(formatCampaign(result.rows[0], usernames));
+  } catch (error) {
+    logger.error('Error getting featured campaign', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch featured campaign' });
+  }
+});
+
+// Get current fee rate and fee/vault wallets per chain
+app.get('/api/protocol/fees', async (req, res) => {
+  try {
+    const settings = await getCurrentProtocolSettings(req.query.chain);
+    
+    const fees = {};
+    for (const [chain, chainSettings] of Object.entries(settings)) {
+      fees[chain] = {
+        feeBasisPoints: chainSettings.feeBasisPoints,
+        feePercent: chainSettings.feePercent,
+        feeWallet: chainSettings.feeWallet,
+        feeWalletUsername: chainSettings.feeWalletUsername,
+        vaultWallet: chainSettings.vaultWallet,
+        vaultWalletUsername: chainSettings.vaultWalletUsername
+      };
+    }
+    
+    res.json(fees);
+  } catch (error) {
+    logger.error('Error getting protocol fees', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch protocol fees' });
+  }
+});
+
+// Get pause state per chain
+app.get('/api/protocol/paused', async (req, res) => {
+  try {
+    const settings = await getCurrentProtocolSettings(req.query.chain);
+    
+    const paused = {};
+    for (const [chain, chainSettings] of Object.entries(settings)) {
+      paused[chain] = chainSettings.paused;
+    }
+    
+    res.json(paused);
+  } catch (error) {
+    logger.error('Error getting pause state', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch pause state' });
+  }
+});
+
+// Get supported tokens and their price feeds per chain
+app.get('/api/protocol/price-feeds', async (req, res) => {
+  try {
+    const settings = await getCurrentProtocolSettings(req.query.chain);
+    
+    const priceFeeds = {};
+    for (const [chain, chainSettings] of Object.entries(settings)) {
+      priceFeeds[chain] = chainSettings.priceFeeds;
+    }
+    
+    res.json(priceFeeds);
+  } catch (error) {
+    logger.error('Error getting price feeds', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch price feeds' });
+  }
+});
+
+// Get configured LayerZero peers per chain
+app.get('/api/protocol/peers', async (req, res) => {
+  try {
+    const settings = await getCurrentProtocolSettings(req.query.chain);
+    
+    const peers = {};
+    for (const [chain, chainSettings] of Object.entries(settings)) {
+      peers[chain] = chainSettings.peers;
+    }
+    
+    res.json(peers);
+  } catch (error) {
+    logger.error('Error getting LayerZero peers', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch peers' });
+  }
+});
+
+// Get protocol setting change history (?chain=, ?setting=)
+app.get('/api/protocol/history', async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit) || 50;
+    const page = parseInt(req.query.page) || 1;
+    const offset = (page - 1) * limit;
+    
+    const result = await db.query(
+      `SELECT * FROM protocol_settings_history
+       WHERE ($1::text IS NULL OR chain = $1)
+         AND ($2::text IS NULL OR setting_key = $2 OR setting_key LIKE $2 || ':%')
+       ORDER BY changed_at DESC, block_number DESC, log_index DESC
+       LIMIT $3 OFFSET $4`,
+      [req.query.chain || null, req.query.setting || null, limit, offset]
+    );
+    
+    const usernames = await getUsernames(result.rows
+      .filter(row => ADDRESS_SETTINGS.includes(row.setting_key))
+      .map(row => row.setting_value));
+    res.json(result.rows.map(row => formatProtocolSettingChange(row, usernames)));
+  } catch (error) {
+    logger.error('Error getting protocol history', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch protocol history' });
+  }
+});
+
+// Helper function to format a user profile
+async function getUserProfile(address) {
+  const lookup = address.toLowerCase();
+  
+  const history = await db.query(
+    `SELECT username, chain, tx_hash, block_number, set_at, confirmed
+     FROM username_changes
+     WHERE address = $1
+     ORDER BY block_number DESC, tx_index DESC`,
+    [lookup]
+  );
+  
+  const stats = await db.query(
+    `SELECT
+       (SELECT COUNT(*) FROM campaigns WHERE LOWER(creator) = $1) AS campaigns_created,
+       (SELECT COUNT(*) FROM donations WHERE LOWER(donor) = $1) AS donation_count,
+       (SELECT COALESCE(SUM(amount), 0) FROM donations WHERE LOWER(donor) = $1) AS total_donated`,
+    [lookup]
+  );
+  
+  const current = history.rows[0];
+  
+  return {
+    address,
+    username: current ? current.username : null,
+    usernameSetAt: current ? current.set_at : null,
+    usernameConfirmed: current ? current.confirmed : null,
+    usernameHistory: history.rows.map(row => ({
+      username: row.username,
+      chain: row.chain,
+      txhash: row.tx_hash,
+      blockNumber: parseInt(row.block_number),
+      setAt: row.set_at,
+      confirmed: row.confirmed
+    })),
+    campaignsCreated: parseInt(stats.rows[0].campaigns_created),
+    donationCount: parseInt(stats.rows[0].donation_count),
+    totalDonated: parseFloat(stats.rows[0].total_donated)
+  };
+}
+
+// Escape LIKE wildcards and backslashes so user input only matches literally; queries name backslash as their ESCAPE character
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+// Search users by username prefix
+app.get('/api/users/search', async (req, res) => {
+  try {
+    const query = (req.query.query || '').trim();
+    const limit = parseInt(req.query.limit) || 20;
+    
+    if (!query) {
+      return res.json([]);
+    }
+    
+    const result = await db.query(
+      `SELECT address, username FROM usernames
+       WHERE username ILIKE $1 ESCAPE '\\'
+       ORDER BY LOWER(username) = LOWER($2) DESC, username
+       LIMIT $3`,
+      [`${escapeLike(query)}%`, query, limit]
+    );
+    
+    res.json(result.rows.map(row => ({ address: row.address, username: row.username })));
+  } catch (error) {
+    logger.error('Error searching users', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// Look up a user by their current username
+app.get('/api/users/by-username/:username', async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT address FROM usernames
+       WHERE LOWER(username) = LOWER($1)
+       ORDER BY block_number DESC
+       LIMIT 1`,
+      [req.params.username]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    res.json(await getUserProfile(result.rows[0].address));
+  } catch (error) {
+    logger.error('Error getting user by username', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+// Get a user's profile
+app.get('/api/users/:address', async (req, res) => {
+  try {
+    res.json(await getUserProfile(req.params.address));
+  } catch (error) {
+    logger.error('Error getting user profile', { error: error.message, stack: error.stack });
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,288 @@
+// src/config/networkRegistry.js
+const fs = require('fs');
+const path = require('path');
+const ethers = require('ethers');
+
+// Network definitions live in networks.json unless NETWORKS_CONFIG points elsewhere
+const DEFAULT_CONFIG_PATH = path.join(__dirname, 'networks.json');
+
+// Supported finality block tags (null means confirmation depth only)
+const FINALITY_TAGS = ['safe', 'finalized'];
+const ROLES = ['main', 'remote'];
+
+// Contract ABIs by role and version, selected per deployment with abiVersion
+const ABIS = {
+  main: { v1: require('./mainChainABI.json') },
+  remote: { v1: require('./remoteChainABI.json') }
+};
+
+// Replace ${VAR} and ${VAR:-default} with environment values
+function interpolate(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Za-z0-9_]+)(?::-([^}]*))?\}/g, (match, name, fallback) => {
+      const envValue = process.env[name];
+      return envValue !== undefined && envValue !== '' ? envValue : (fallback || '');
+    });
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(interpolate);
+  }
+
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item)]));
+  }
+
+  return value;
+}
+
+// Interpolated values arrive as strings; turn numeric/boolean text back into values
+function toInteger(value) {
+  if (value === '' || value === null || value === undefined) return null;
+  if (typeof value === 'string' && /^\d+$/.test(value.trim())) return parseInt(value, 10);
+  return value;
+}
+
+function toBoolean(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  return value;
+}
+
+function isNonNegativeInteger(value) {
+  return Number.isInteger(value) && value >= 0;
+}
+
+// Check one network entry against the schema, pushing problems onto issues
+function validateNetwork(name, config, issues) {
+  const prefix = `networks.${name}`;
+
+  if (!isNonNegativeInteger(config.chainId) || config.chainId === 0) {
+    issues.push(`${prefix}.chainId must be a positive integer`);
+  }
+  if (!isNonNegativeInteger(config.eid) || config.eid === 0) {
+    issues.push(`${prefix}.eid must be a positive integer`);
+  }
+  if (!ROLES.includes(config.role)) {
+    issues.push(`${prefix}.role must be one of ${ROLES.join(', ')}`);
+  }
+  if (typeof config.enabled !== 'boolean') {
+    issues.push(`${prefix}.enabled must be true or false`);
+  }
+  if (typeof config.nativeToken !== 'string' || config.nativeToken.length === 0) {
+    issues.push(`${prefix}.nativeToken must be a non-empty string`);
+  }
+  if (!Array.isArray(config.rpcUrls) || config.rpcUrls.some(url => !/^https?:\/\//.test(url))) {
+    issues.push(`${prefix}.rpc must be an http(s) URL, a comma-separated list or an array of them`);
+  }
+  if (config.wsUrl !== null && !/^wss?:\/\//.test(config.wsUrl)) {
+    issues.push(`${prefix}.ws must be empty or a ws(s) URL`);
+  }
+  if (!Array.isArray(config.deployments) || config.deployments.length === 0) {
+    issues.push(`${prefix}.deployments must list at least one contract deployment`);
+  } else {
+    config.deployments.forEach((deployment, index) => {
+      validateDeployment(`${prefix}.deployments[${index}]`, config, deployment, index, issues);
+    });
+  }
+  if (!isNonNegativeInteger(config.confirmations)) {
+    issues.push(`${prefix}.confirmations must be a non-negative integer`);
+  }
+  if (config.finalityTag !== null && !FINALITY_TAGS.includes(config.finalityTag)) {
+    issues.push(`${prefix}.finality must be empty or one of ${FINALITY_TAGS.join(', ')}`);
+  }
+}
+
+// Check one deployment; only the active (last) one may leave its address unset
+function validateDeployment(prefix, config, deployment, index, issues) {
+  if (typeof deployment.id !== 'string' || !/^[A-Za-z0-9_.-]+$/.test(deployment.id)) {
+    issues.push(`${prefix}.id must be letters, digits, ".", "_" or "-"`);
+  }
+  if (deployment.address && !ethers.isAddress(deployment.address)) {
+    issues.push(`${prefix}.address is not a valid address`);
+  }
+  if (!deployment.address && index < config.deployments.length - 1) {
+    issues.push(`${prefix}.address is required for deployments that are no longer active`);
+  }
+  if (!ABIS[config.role] || !ABIS[config.role][deployment.abiVersion]) {
+    issues.push(`${prefix}.abiVersion "${deployment.abiVersion}" has no ${config.role} chain ABI`);
+  }
+  for (const key of ['startBlock', 'endBlock']) {
+    if (deployment[key] !== null && !isNonNegativeInteger(deployment[key])) {
+      issues.push(`${prefix}.${key} must be empty or a non-negative integer`);
+    }
+  }
+  if (isNonNegativeInteger(deployment.startBlock) && isNonNegativeInteger(deployment.endBlock) &&
+      deployment.endBlock < deployment.startBlock) {
+    issues.push(`${prefix}.endBlock is before its startBlock`);
+  }
+
+  // Entries for the same contract (e.g. split to change mainDeployment) must not overlap
+  config.deployments.slice(0, index).forEach((other, otherIndex) => {
+    if (!deployment.address || !other.address ||
+        deployment.address.toLowerCase() !== other.address.toLowerCase()) return;
+    const overlaps = (other.endBlock === null || deployment.startBlock === null || deployment.startBlock <= other.endBlock) &&
+      (deployment.endBlock === null || other.startBlock === null || other.startBlock <= deployment.endBlock);
+    if (overlaps) {
+      issues.push(`${prefix} overlaps deployments[${otherIndex}] of the same contract`);
+    }
+  });
+}
+
+// Deployments in the registry shape. The older single-contract form
+// (contractAddress/deployBlock) becomes one deployment named after the network.
+function normalizeDeployments(name, raw) {
+  const deployments = raw.deployments !== undefined ?
+    raw.deployments :
+    [{ id: name, address: raw.contractAddress, startBlock: raw.deployBlock }];
+
+  if (!Array.isArray(deployments)) {
+    return deployments;
+  }
+
+  return deployments.map(deployment => ({
+    id: deployment.id,
+    address: deployment.address || null,
+    abiVersion: deployment.abiVersion || 'v1',
+    startBlock: toInteger(deployment.startBlock),
+    endBlock: toInteger(deployment.endBlock),
+    mainDeployment: deployment.mainDeployment || null
+  }));
+}
+
+// Normalize one interpolated entry into the shape the indexer uses
+function normalizeNetwork(name, raw) {
+  const rpc = Array.isArray(raw.rpc) ? raw.rpc : [raw.rpc];
+  const role = raw.role;
+
+  return {
+    chainId: toInteger(raw.chainId),
+    eid: toInteger(raw.eid),
+    role,
+    isMain: role === 'main',
+    enabled: toBoolean(raw.enabled === undefined ? true : raw.enabled),
+    nativeToken: raw.nativeToken,
+    rpcUrls: rpc
+      .filter(value => typeof value === 'string')
+      .flatMap(value => value.split(','))
+      .map(url => url.trim())
+      .filter(Boolean),
+    wsUrl: raw.ws || null,
+    deployments: normalizeDeployments(name, raw),
+    confirmations: toInteger(raw.confirmations === undefined ? 0 : raw.confirmations),
+    finalityTag: raw.finality || null
+  };
+}
+
+// Fill in what the indexer derives from the deployment list:
+//   idPrefix       - namespace for ids the contract numbers itself (campaigns, withdrawals,
+//                    cross-chain donations): empty for a network's original contract,
+//                    "<deployment id>:" for every contract deployed after it
+//   campaignPrefix - namespace of the campaigns the deployment's events refer to; remote
+//                    deployments use their mainDeployment (default: the first main deployment)
+//   contractAddress/deployBlock - the active (last) deployment's address and the first start block
+function resolveDeployments(networks, mainNetwork, issues) {
+  const seenIds = new Map();
+
+  for (const [name, config] of Object.entries(networks)) {
+    const prefixes = new Map();
+
+    config.deployments.forEach((deployment, index) => {
+      if (seenIds.has(deployment.id)) {
+        issues.push(`networks.${name}.deployments[${index}].id duplicates a deployment of ${seenIds.get(deployment.id)}`);
+      }
+      seenIds.set(deployment.id, name);
+
+      const addressKey = (deployment.address || '').toLowerCase();
+      if (!prefixes.has(addressKey)) {
+        prefixes.set(addressKey, prefixes.size === 0 ? '' : `${deployment.id}:`);
+      }
+
+      deployment.network = name;
+      deployment.abi = ABIS[config.role][deployment.abiVersion];
+      deployment.idPrefix = prefixes.get(addressKey);
+    });
+
+    config.contractAddress = config.deployments[config.deployments.length - 1].address;
+    config.deployBlock = config.deployments[0].startBlock;
+  }
+
+  const mainDeployments = networks[mainNetwork].deployments;
+
+  for (const [name, config] of Object.entries(networks)) {
+    config.deployments.forEach((deployment, index) => {
+      if (config.isMain) {
+        deployment.campaignPrefix = deployment.idPrefix;
+        return;
+      }
+
+      const target = deployment.mainDeployment ?
+        mainDeployments.find(candidate => candidate.id === deployment.mainDeployment) :
+        mainDeployments[0];
+      if (!target) {
+        issues.push(`networks.${name}.deployments[${index}].mainDeployment "${deployment.mainDeployment}" is not a deployment of ${mainNetwork}`);
+        return;
+      }
+      deployment.campaignPrefix = target.idPrefix;
+    });
+  }
+}
+
+/**
+ * Load, interpolate and schema-validate the network registry
+ * @param {string} configPath - JSON file to load (defaults to NETWORKS_CONFIG or networks.json)
+ * @returns {Object} - Network configs keyed by network name
+ */
+function loadNetworks(configPath = process.env.NETWORKS_CONFIG || DEFAULT_CONFIG_PATH) {
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Failed to read network configuration ${configPath}: ${error.message}`);
+  }
+
+  if (!parsed || typeof parsed.networks !== 'object' || Object.keys(parsed.networks).length === 0) {
+    throw new Error(`Invalid network configuration ${configPath}: "networks" must define at least one network`);
+  }
+
+  const issues = [];
+  const networks = {};
+
+  for (const [name, raw] of Object.entries(parsed.networks)) {
+    networks[name] = normalizeNetwork(name, interpolate(raw));
+    validateNetwork(name, networks[name], issues);
+  }
+
+  // Identifiers must be unique, and exactly one enabled network is the main chain
+  for (const key of ['chainId', 'eid']) {
+    const seen = new Map();
+    for (const [name, config] of Object.entries(networks)) {
+      if (seen.has(config[key])) {
+        issues.push(`networks.${name}.${key} duplicates networks.${seen.get(config[key])}`);
+      }
+      seen.set(config[key], name);
+    }
+  }
+
+  const mainNetworks = Object.keys(networks).filter(name => networks[name].isMain && networks[name].enabled);
+  if (mainNetworks.length !== 1) {
+    issues.push(`exactly one enabled network must have role "main" (found ${mainNetworks.length})`);
+  }
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid network configuration ${configPath}: ${issues.join('; ')}`);
+  }
+
+  resolveDeployments(networks, mainNetworks[0], issues);
+
+  if (issues.length > 0) {
+    throw new Error(`Invalid network configuration ${configPath}: ${issues.join('; ')}`);
+  }
+
+  return networks;
+}
+
+module.exports = {
+  FINALITY_TAGS,
+  loadNetworks
+};
@@ -1,5 +1,9 @@
 // src/db/index.js
 const { Pool } = require('pg');
+const { createCounter, createHistogram } = require('../services/metrics');
+const { createLogger } = require('../services/logger');
+
+const logger = createLogger('db');
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
@@ -11,12 +15,72 @@ const pool = new Pool({
 // Test the connection
 pool.query('SELECT NOW()', (err, res) => {
   if (err) {
-    console.error('Database connection error:', err);
+    logger.error('Database connection error', { error: err.message, stack: err.stack });
   } else {
-    console.log('Database connected:', res.rows[0].now);
+    logger.info('Database connected', { now: res.rows[0].now });
   }
 });
 
+// Metrics
+const queryDuration = createHistogram('fundit_db_query_duration_seconds', 'Database query duration by statement type', ['operation']);
+const queryErrors = createCounter('fundit_db_query_errors_total', 'Failed database queries by statement type', ['operation']);
+const transactionDuration = createHistogram('fundit_db_transaction_duration_seconds', 'Database transaction duration by outcome', ['outcome']);
+
+// Statement type (SELECT, INSERT, ...) of a query's text or config object
+function operationOf(query) {
+  const text = typeof query === 'string' ? query : (query && query.text) || '';
+  const match = text.trim().match(/^[A-Za-z]+/);
+  return match ? match[0].toUpperCase() : 'OTHER';
+}
+
+// Time a query on the pool or a transaction's client
+async function timedQuery(target, args) {
+  const operation = operationOf(args[0]);
+  const stopTimer = queryDuration.startTimer({ operation });
+
+  try {
+    return await target.query(...args);
+  } catch (error) {
+    queryErrors.inc({ operation });
+    throw error;
+  } finally {
+    stopTimer();
+  }
+}
+
+/**
+ * Run a unit of work inside a transaction on a single pooled connection.
+ * Commits when the callback resolves, rolls back when it throws.
+ * @param {Function} fn - Async callback receiving the checked-out client
+ * @returns {*} - Whatever the callback returns
+ */
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  const stopTimer = transactionDuration.startTimer();
+  let releaseError;
+  
+  try {
+    await client.query('BEGIN');
+    const result = await fn({ query: (...args) => timedQuery(client, args) });
+    await client.query('COMMIT');
+    stopTimer({ outcome: 'commit' });
+    return result;
+  } catch (error) {
+    stopTimer({ outcome: 'rollback' });
+    try {
+      await client.query('ROLLBACK');
+    } catch (rollbackError) {
+      // Connection is in an unknown state, make sure the pool discards it
+      releaseError = rollbackError;
+    }
+    throw error;
+  } finally {
+    client.release(releaseError);
+  }
+}
+
 module.exports = {
-  query: (text, params) => pool.query(text, params)
-};
\ No newline at end of file
+  query: (text, params) => timedQuery(pool, [text, params]),
+  withTransaction,
+  close: () => pool.end()
+};
@@ -1,6 +1,31 @@
 // src/db/migrations.js
 const db = require('./index');
 
+// Every migration in order; a name is recorded in the migrations table once it has run
+const MIGRATIONS = [
+  { name: '001_initial_schema', up: require('../../migrations/001_initial_schema').up },
+  { name: '002_reconciliation_table', up: require('../../migrations/002_reconciliation_table.js').up },
+  { name: '003_campaign_wallets', up: require('../../migrations/003_campaign_wallets.js').up },
+  { name: '004_direct_donations', up: require('../../migrations/004_direct_donations.js').up },
+  { name: '005_block_tracking', up: require('../../migrations/005_block_tracking.js').up },
+  { name: '006_confirmations', up: require('../../migrations/006_confirmations.js').up },
+  { name: '007_cross_chain_donations', up: require('../../migrations/007_cross_chain_donations.js').up },
+  { name: '008_event_keys', up: require('../../migrations/008_event_keys.js').up },
+  { name: '009_worker_heartbeats', up: require('../../migrations/009_worker_heartbeats.js').up },
+  { name: '010_backfill_ranges', up: require('../../migrations/010_backfill_ranges.js').up },
+  { name: '011_protocol_settings', up: require('../../migrations/011_protocol_settings.js').up },
+  { name: '012_usernames', up: require('../../migrations/012_usernames.js').up },
+  { name: '013_rpc_endpoint_health', up: require('../../migrations/013_rpc_endpoint_health.js').up },
+  { name: '014_rpc_log_range', up: require('../../migrations/014_rpc_log_range.js').up },
+  { name: '015_contract_deployments', up: require('../../migrations/015_contract_deployments.js').up },
+  { name: '016_indexer_start_block', up: require('../../migrations/016_indexer_start_block.js').up },
+  { name: '017_campaign_totals', up: require('../../migrations/017_campaign_totals.js').up },
+  { name: '018_cross_chain_matching', up: require('../../migrations/018_cross_chain_matching.js').up },
+  { name: '019_alert_state', up: require('../../migrations/019_alert_state.js').up },
+  { name: '020_campaign_details_version', up: require('../../migrations/020_campaign_details_version.js').up },
+  { name: '021_unconfirmed_indexes', up: require('../../migrations/021_unconfirmed_indexes.js').up }
+];
+
 async function ensureMigrationsTable() {
   // Create the migrations table if it doesn't exist
   await db.query(`
@@ -30,14 +55,8 @@ async function markMigrationExecuted(migrationName) {
 async function runMigrations() {
   await ensureMigrationsTable();
   
-  const migrations = [
-    { name: '001_initial_schema', up: require('../../migrations/001_initial_schema').up },
-    { name: '002_reconciliation_table', up: require('../../migrations/002_reconciliation_table.js').up },
-    { name: '003_campaign_wallets', up: require('../../migrations/003_campaign_wallets.js').up },
-    { name: '004_direct_donations', up: require('../../migrations/004_direct_donations.js').up }
-  ];
   
-  for (const migration of migrations) {
+  for (const migration of MIGRATIONS) {
     const isExecuted = await checkMigrationStatus(migration.name);
     
     if (!isExecuted) {
@@ -51,4 +70,18 @@ async function runMigrations() {
   }
 }
 
-module.exports = { runMigrations };
\ No newline at end of file
+// Names of known migrations that have not run yet (all of them before the migrations table exists)
+async function getPendingMigrations() {
+  let executed;
+  try {
+    const result = await db.query('SELECT name FROM migrations');
+    executed = new Set(result.rows.map(row => row.name));
+  } catch (error) {
+    if (error.code !== '42P01') throw error; // undefined_table
+    executed = new Set();
+  }
+  
+  return MIGRATIONS.map(migration => migration.name).filter(name => !executed.has(name));
+}
+
+module.exports = { MIGRATIONS, runMigrations, getPendingMigrations };
\ No newline at end of file
@@ -0,0 +1,365 @@
+// src/services/alerts.js
+const os = require('os');
+const db = require('../db');
+const { createCounter } = require('./metrics');
+const { createLogger, redactUrls } = require('./logger');
+
+const logger = createLogger('alerts');
+
+// Webhook targets (Slack incoming webhooks or anything accepting the same JSON); none disables alerting
+const WEBHOOK_URLS = (process.env.ALERT_WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 5000;
+const COOLDOWN_MS = parseInt(process.env.ALERT_COOLDOWN_MS) || 900000; // Minimum time between notifications of one alert
+
+// Rules - a threshold of 0 turns the rule off
+const LAG_BLOCKS = parseInt(process.env.ALERT_LAG_BLOCKS || '1000'); // Blocks a synced network may trail its head
+const INDEXING_FAILURES = parseInt(process.env.ALERT_INDEXING_FAILURES || '3'); // Consecutive failed indexing runs per network
+const DISCREPANCY_USD = parseFloat(process.env.ALERT_DISCREPANCY_USD || '1'); // Ledger vs contract difference per campaign
+const DONATION_ALERTS = process.env.ALERT_DONATIONS !== 'false'; // Stuck and failed direct donations
+
+const MAX_LISTED_CAMPAIGNS = 10;
+
+const SEVERITY_COLORS = {
+  critical: '#d9534f',
+  warning: '#f0ad4e',
+  info: '#5bc0de',
+  resolved: '#5cb85c'
+};
+
+// Metrics
+const alertsSent = createCounter('fundit_alerts_sent_total', 'Alert notifications sent, by rule and status', ['rule', 'status']);
+const alertsSuppressed = createCounter('fundit_alerts_suppressed_total', 'Alerts not sent because they fired again within the cooldown', ['rule']);
+const webhookErrors = createCounter('fundit_alert_webhook_errors_total', 'Alert notifications a webhook target failed to accept');
+
+// Alert state lives in the database (alert_state, alert_counters) so de-duplication,
+// cooldowns and failure counts hold across one-shot runs and separate processes.
+// Condition alerts (lag, failures) stay until resolved; one-off event alerts are
+// dropped once their cooldown has passed.
+
+// Networks this process knows to have no failure count, to skip clearing it on every run
+const clearNetworks = new Set();
+
+function isEnabled() {
+  return WEBHOOK_URLS.length > 0;
+}
+
+// Slack-compatible body; `alert` carries the same data for receivers that are not Slack
+function buildPayload(alert) {
+  const fields = Object.entries(alert.fields).map(([title, value]) => ({ title, value: String(value), short: true }));
+
+  return {
+    text: alert.status === 'resolved' ?
+      `[RESOLVED] ${alert.title}` :
+      `[${alert.severity.toUpperCase()}] ${alert.title}`,
+    attachments: [{
+      color: SEVERITY_COLORS[alert.status === 'resolved' ? 'resolved' : alert.severity],
+      title: alert.title,
+      text: alert.text,
+      fields,
+      footer: `fundit-indexer on ${os.hostname()}`,
+      ts: Math.floor(alert.at.getTime() / 1000)
+    }],
+    alert: {
+      rule: alert.rule,
+      key: alert.key,
+      status: alert.status,
+      severity: alert.severity,
+      title: alert.title,
+      text: alert.text,
+      fields: alert.fields,
+      source: os.hostname(),
+      at: alert.at.toISOString()
+    }
+  };
+}
+
+async function postWebhook(url, body) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+}
+
+// Send to every target; a failing target is logged and never fails the caller
+async function deliver(alert) {
+  const body = buildPayload(alert);
+
+  await Promise.all(WEBHOOK_URLS.map(async (url) => {
+    try {
+      await postWebhook(url, body);
+    } catch (error) {
+      webhookErrors.inc();
+      logger.error(`Failed to deliver alert ${alert.rule}:${alert.key} to ${redactUrls(url)}: ${error.message}`);
+    }
+  }));
+
+  alertsSent.inc({ rule: alert.rule, status: alert.status });
+  logger.info(`Alert ${alert.status}: ${alert.title}`, { rule: alert.rule, key: alert.key });
+}
+
+/**
+ * Notify the targets of an alert, unless the same rule and key was notified within the
+ * cooldown. A repeat after the cooldown mentions how often it fired in between.
+ * @param {string} rule - Rule name
+ * @param {string} key - What the alert is about (network, donation id, ...)
+ * @param {Object} details - { severity, title, text, fields, condition } where condition
+ *   marks alerts that stay active until resolved
+ * @returns {boolean} - Whether a notification was sent
+ */
+async function fire(rule, key, details) {
+  if (!isEnabled()) return false;
+
+  const id = `${rule}:${key}`;
+  let repeats;
+
+  try {
+    repeats = await db.withTransaction(async (client) => {
+      await client.query(
+        `DELETE FROM alert_state
+         WHERE NOT condition AND last_sent_at < NOW() - $1 * INTERVAL '1 millisecond'`,
+        [COOLDOWN_MS]
+      );
+
+      const current = await client.query(
+        `SELECT suppressed, last_sent_at > NOW() - $2 * INTERVAL '1 millisecond' AS cooling_down
+         FROM alert_state WHERE id = $1 FOR UPDATE`,
+        [id, COOLDOWN_MS]
+      );
+
+      if (current.rows.length > 0 && current.rows[0].cooling_down) {
+        await client.query('UPDATE alert_state SET suppressed = suppressed + 1 WHERE id = $1', [id]);
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO alert_state (id, rule, alert_key, title, condition, last_sent_at, suppressed)
+         VALUES ($1, $2, $3, $4, $5, NOW(), 0)
+         ON CONFLICT (id) DO UPDATE SET
+           title = EXCLUDED.title,
+           condition = EXCLUDED.condition,
+           last_sent_at = NOW(),
+           suppressed = 0`,
+        [id, rule, String(key), details.title, details.condition === true]
+      );
+
+      return current.rows.length > 0 ? current.rows[0].suppressed : 0;
+    });
+  } catch (error) {
+    logger.error(`Failed to record alert ${id}`, { error: error.message, stack: error.stack });
+    return false;
+  }
+
+  if (repeats === null) {
+    alertsSuppressed.inc({ rule });
+    return false;
+  }
+
+  await deliver({
+    rule,
+    key: String(key),
+    status: 'firing',
+    severity: details.severity || 'warning',
+    title: details.title,
+    text: redactUrls(repeats > 0 ? `${details.text} (fired ${repeats} more times since the last notification)` : details.text),
+    fields: details.fields || {},
+    at: new Date()
+  });
+
+  return true;
+}
+
+// Forget an alert without notifying anyone
+async function clear(rule, key) {
+  const result = await db.query('DELETE FROM alert_state WHERE id = $1 RETURNING title', [`${rule}:${key}`]);
+  return result.rows.length > 0 ? result.rows[0].title : null;
+}
+
+/**
+ * Notify the targets that an active condition alert cleared
+ * @returns {boolean} - Whether the alert was active
+ */
+async function resolve(rule, key, text) {
+  if (!isEnabled()) return false;
+
+  let title;
+  try {
+    title = await clear(rule, key);
+  } catch (error) {
+    logger.error(`Failed to resolve alert ${rule}:${key}`, { error: error.message, stack: error.stack });
+    return false;
+  }
+  if (!title) return false;
+
+  await deliver({
+    rule,
+    key: String(key),
+    status: 'resolved',
+    severity: 'info',
+    title,
+    text,
+    fields: {},
+    at: new Date()
+  });
+
+  return true;
+}
+
+/**
+ * Indexer lag rule, checked after every network run. Networks in their initial sync
+ * are expected to trail and never alert.
+ * @param {string} network - Network name
+ * @param {number} lagBlocks - Chain head minus the last indexed block
+ * @param {boolean} synced - Whether the network finished its initial sync
+ */
+async function checkIndexerLag(network, lagBlocks, synced) {
+  if (LAG_BLOCKS <= 0) return;
+
+  if (synced && lagBlocks > LAG_BLOCKS) {
+    await fire('indexer_lag', network, {
+      severity: 'warning',
+      title: `${network} indexer is ${lagBlocks} blocks behind`,
+      text: `The last indexed block on ${network} trails the chain head by more than ${LAG_BLOCKS} blocks`,
+      fields: { network, lagBlocks, threshold: LAG_BLOCKS },
+      condition: true
+    });
+  } else if (lagBlocks <= LAG_BLOCKS) {
+    await resolve('indexer_lag', network, `${network} is back within ${LAG_BLOCKS} blocks of the chain head (${lagBlocks} behind)`);
+  }
+}
+
+/**
+ * Indexing failure rule: alerts once a network's indexing runs failed INDEXING_FAILURES
+ * times in a row, whether a chunk or an RPC call around it (chain head, reorg check) failed.
+ * Only the worker's runs count; reindex and backfill report their own errors.
+ * @param {string} network - Network name
+ * @param {Error} error - Why the run failed
+ */
+async function recordIndexingFailure(network, error) {
+  if (!isEnabled() || INDEXING_FAILURES <= 0) return;
+
+  let failures;
+  try {
+    const result = await db.query(
+      `INSERT INTO alert_counters (name, count, updated_at) VALUES ($1, 1, NOW())
+       ON CONFLICT (name) DO UPDATE SET count = alert_counters.count + 1, updated_at = NOW()
+       RETURNING count`,
+      [`indexing_failures:${network}`]
+    );
+    failures = result.rows[0].count;
+    clearNetworks.delete(network);
+  } catch (countError) {
+    logger.error(`Failed to count indexing failure of ${network}`, { error: countError.message });
+    return;
+  }
+
+  if (failures < INDEXING_FAILURES) return;
+
+  await fire('indexing_failures', network, {
+    severity: 'critical',
+    title: `${network} indexing is failing`,
+    text: `${failures} consecutive indexing runs failed, the last one with: ${error.shortMessage || error.message}`,
+    fields: { network, failures },
+    condition: true
+  });
+}
+
+async function recordIndexingSuccess(network) {
+  if (!isEnabled() || clearNetworks.has(network)) return;
+
+  try {
+    await db.query('DELETE FROM alert_counters WHERE name = $1', [`indexing_failures:${network}`]);
+    clearNetworks.add(network);
+  } catch (error) {
+    logger.error(`Failed to reset indexing failures of ${network}`, { error: error.message });
+    return;
+  }
+
+  await resolve('indexing_failures', network, `${network} indexed successfully again`);
+}
+
+/**
+ * Reconciliation drift rule, checked after every reconciliation run
+ * @param {Array<Object>} discrepancies - { campaignId, dbValue, chainValue, discrepancy } per campaign
+ */
+async function checkReconciliationDrift(discrepancies) {
+  if (DISCREPANCY_USD <= 0) return;
+
+  const drifted = discrepancies
+    .filter(entry => entry.discrepancy >= DISCREPANCY_USD)
+    .sort((a, b) => b.discrepancy - a.discrepancy);
+
+  if (drifted.length === 0) {
+    await resolve('reconciliation_drift', 'campaigns', `No campaign total differs from the contract by ${DISCREPANCY_USD} USD or more`);
+    return;
+  }
+
+  const listed = drifted.slice(0, MAX_LISTED_CAMPAIGNS)
+    .map(entry => `campaign ${entry.campaignId}: ledger ${entry.dbValue}, contract ${entry.chainValue}`);
+  const more = drifted.length > MAX_LISTED_CAMPAIGNS ? `\n(+${drifted.length - MAX_LISTED_CAMPAIGNS} more)` : '';
+
+  await fire('reconciliation_drift', 'campaigns', {
+    severity: 'warning',
+    title: `${drifted.length} campaign totals differ from the contract`,
+    text: `${listed.join('\n')}${more}`,
+    fields: { campaigns: drifted.length, largestDiscrepancy: drifted[0].discrepancy, threshold: DISCREPANCY_USD },
+    condition: true
+  });
+}
+
+/**
+ * Direct donation whose transaction stayed pending past the check limit
+ * @param {Object} donation - { donationId, campaignId, txHash, checks }
+ */
+async function donationStuck({ donationId, campaignId, txHash, checks }) {
+  if (!DONATION_ALERTS) return;
+
+  await fire('donation_stuck', donationId, {
+    severity: 'warning',
+    title: `Direct donation ${donationId} is stuck`,
+    text: `Transaction ${txHash} is still pending after ${checks} checks; sending a replacement`,
+    fields: { donationId, campaignId, txHash },
+    condition: true
+  });
+}
+
+/**
+ * Direct donation that ended up failed
+ * @param {Object} donation - { donationId, campaignId, txHash, reason }
+ */
+async function donationFailed({ donationId, campaignId, txHash, reason }) {
+  if (!DONATION_ALERTS || !isEnabled()) return;
+
+  // The failure supersedes a stuck alert for the same donation
+  try {
+    await clear('donation_stuck', donationId);
+  } catch (error) {
+    logger.error(`Failed to clear stuck alert of donation ${donationId}`, { error: error.message });
+  }
+
+  await fire('donation_failed', donationId, {
+    severity: 'critical',
+    title: `Direct donation ${donationId} failed`,
+    text: reason,
+    fields: { donationId, campaignId, ...(txHash ? { txHash } : {}) }
+  });
+}
+
+async function donationCompleted(donationId) {
+  await resolve('donation_stuck', donationId, `Direct donation ${donationId} completed`);
+}
+
+module.exports = {
+  checkIndexerLag,
+  recordIndexingFailure,
+  recordIndexingSuccess,
+  checkReconciliationDrift,
+  donationStuck,
+  donationFailed,
+  donationCompleted
+};
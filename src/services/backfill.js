@@ -0,0 +1,179 @@
+// src/services/backfill.js
+const db = require('../db');
+const { providers, indexNetworkChunk, getLogRange, canRetrySmaller } = require('./blockchain');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('backfill');
+
+// Constants
+const BACKFILL_BATCH_SIZE = parseInt(process.env.BACKFILL_BATCH_SIZE) || 2000; // Blocks per run (capped by the RPC log range)
+const MAX_BACKFILL_ATTEMPTS = 5; // Failures before a range is marked failed
+
+/**
+ * Record a skipped block range so the backfiller indexes it later
+ * @param {Object} client - Database client (or db) to write with
+ * @param {string} network - Network name
+ * @param {number} fromBlock - First skipped block
+ * @param {number} toBlock - Last skipped block
+ * @param {string} reason - Why the range was skipped
+ */
+async function queueBackfill(client, network, fromBlock, toBlock, reason) {
+  if (toBlock < fromBlock) return null;
+
+  const result = await client.query(
+    `INSERT INTO backfill_ranges (
+      chain, from_block, to_block, next_block, status, reason, created_at, updated_at
+    ) VALUES ($1, $2, $3, $2, 'pending', $4, NOW(), NOW())
+    RETURNING id`,
+    [network, fromBlock, toBlock, reason]
+  );
+
+  logger.info(`Queued backfill of ${network} blocks ${fromBlock}-${toBlock}`, { reason });
+
+  return result.rows[0].id;
+}
+
+/**
+ * Index the next batch of the oldest open backfill range.
+ * Called after realtime indexing so it only uses capacity left over in a run.
+ * @param {Object} options - shouldStop callback checked before starting
+ * @returns {Object|null} - What was processed, or null if there was nothing to do
+ */
+async function processBackfill(options = {}) {
+  const shouldStop = options.shouldStop || (() => false);
+
+  // Only ranges on networks this process can reach
+  const availableNetworks = Object.keys(providers);
+  if (availableNetworks.length === 0 || shouldStop()) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT * FROM backfill_ranges
+     WHERE status IN ('pending', 'running') AND chain = ANY($1)
+     ORDER BY id
+     LIMIT 1`,
+    [availableNetworks]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const range = result.rows[0];
+  const network = range.chain;
+  const fromBlock = parseInt(range.next_block);
+  const batchSize = Math.min(BACKFILL_BATCH_SIZE, getLogRange(network));
+  const toBlock = Math.min(parseInt(range.to_block), fromBlock + batchSize - 1);
+
+  logger.info(`Backfilling ${network} blocks ${fromBlock}-${toBlock}`, {
+    rangeId: range.id,
+    rangeEnd: parseInt(range.to_block)
+  });
+
+  try {
+    await indexNetworkChunk(network, fromBlock, toBlock, {
+      advanceCursor: false,
+      onChunkIndexed: (client, lastBlock) => client.query(
+        `UPDATE backfill_ranges SET
+          next_block = $1,
+          status = CASE WHEN $1 > to_block THEN 'completed' ELSE 'running' END,
+          completed_at = CASE WHEN $1 > to_block THEN NOW() ELSE NULL END,
+          last_error = NULL,
+          updated_at = NOW()
+        WHERE id = $2`,
+        [lastBlock + 1, range.id]
+      )
+    });
+
+    const completed = toBlock >= parseInt(range.to_block);
+    if (completed) {
+      logger.info(`Backfill range ${range.id} for ${network} completed`);
+    }
+
+    return { rangeId: range.id, network, fromBlock, toBlock, completed };
+  } catch (error) {
+    // Too large for the endpoints, the next run retries with the learned smaller range.
+    // A range that did not shrink counts as a failed attempt like any other error.
+    if (canRetrySmaller(network, error, toBlock - fromBlock + 1)) {
+      logger.warn(`Backfill of ${network} blocks ${fromBlock}-${toBlock} exceeded the RPC log range, retrying smaller`, {
+        rangeId: range.id,
+        logRange: getLogRange(network)
+      });
+      return { rangeId: range.id, network, fromBlock, toBlock, retrySmaller: true };
+    }
+
+    const attempts = range.attempts + 1;
+    const status = attempts >= MAX_BACKFILL_ATTEMPTS ? 'failed' : range.status;
+
+    await db.query(
+      `UPDATE backfill_ranges SET
+        attempts = $1,
+        status = $2,
+        last_error = $3,
+        updated_at = NOW()
+      WHERE id = $4`,
+      [attempts, status, error.message, range.id]
+    );
+
+    logger.error(`Backfill of ${network} blocks ${fromBlock}-${toBlock} failed`, {
+      error: error.message,
+      rangeId: range.id,
+      attempts,
+      status
+    });
+
+    return { rangeId: range.id, network, fromBlock, toBlock, error: error.message };
+  }
+}
+
+/**
+ * Summarize open and failed backfill ranges per network
+ * @returns {Object} - Backfill progress keyed by network
+ */
+async function getBackfillStatus() {
+  const result = await db.query(
+    `SELECT id, chain, from_block, to_block, next_block, status, reason, attempts, last_error, created_at, updated_at
+     FROM backfill_ranges
+     WHERE status <> 'completed'
+     ORDER BY id`
+  );
+
+  const status = {};
+
+  for (const row of result.rows) {
+    const fromBlock = parseInt(row.from_block);
+    const toBlock = parseInt(row.to_block);
+    const nextBlock = parseInt(row.next_block);
+    const totalBlocks = toBlock - fromBlock + 1;
+    const blocksRemaining = Math.max(0, toBlock - nextBlock + 1);
+
+    if (!status[row.chain]) {
+      status[row.chain] = { openRanges: 0, blocksRemaining: 0, ranges: [] };
+    }
+
+    status[row.chain].openRanges++;
+    status[row.chain].blocksRemaining += blocksRemaining;
+    status[row.chain].ranges.push({
+      id: row.id,
+      fromBlock,
+      toBlock,
+      nextBlock,
+      status: row.status,
+      reason: row.reason,
+      attempts: row.attempts,
+      lastError: row.last_error,
+      progress: (((totalBlocks - blocksRemaining) / totalBlocks) * 100).toFixed(2) + '%',
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  return status;
+}
+
+module.exports = {
+  queueBackfill,
+  processBackfill,
+  getBackfillStatus
+};
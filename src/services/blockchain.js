@@ -1,42 +1,17 @@
 // src/services/blockchain.js
 const ethers = require('ethers');
 const db = require('../db');
-const mainChainABI = require('../config/mainChainABI.json');
-const remoteChainABI = require('../config/remoteChainABI.json');
-const { createLogger, format, transports } = require('winston');
-
-// Logger configuration with production awareness
-const logLevel = process.env.NODE_ENV === 'production' ? 'warn' : 'info';
-const logger = createLogger({
-  level: logLevel, // Only log warnings and errors in production
-  format: format.combine(
-    format.timestamp(),
-    format.errors({ stack: true }),
-    format.splat(),
-    format.json()
-  ),
-  defaultMeta: { service: 'blockchain-indexer' },
-  transports: [
-    new transports.Console({
-      format: format.combine(
-        format.colorize(),
-        format.printf(({ level, message, timestamp, service, ...meta }) => {
-          // In production, only include metadata for errors
-          const metaStr = (level === 'error' || process.env.NODE_ENV !== 'production') && Object.keys(meta).length ? 
-            JSON.stringify(meta) : '';
-          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
-        })
-      )
-    }),
-    // Only log to files in non-production environment or for errors
-    ...(process.env.NODE_ENV !== 'production' ? [
-      new transports.File({ filename: 'logs/error.log', level: 'error' }),
-      new transports.File({ filename: 'logs/combined.log' })
-    ] : [
-      new transports.File({ filename: 'logs/error.log', level: 'error' })
-    ])
-  ]
-});
+const { recordBlockHashes, detectReorg, rollbackToBlock } = require('./reorg');
+const { isRangeLimitError, isRequestError, createRpcPool } = require('./rpcPool');
+const { multicall } = require('./multicall');
+const { createCounter, createHistogram } = require('./metrics');
+const { loadNetworks } = require('../config/networkRegistry');
+const { getDeploymentHandlers } = require('./handlers');
+const { formatStable } = require('./handlers/common');
+const { createLogger, withLogContext, newCorrelationId, redactUrls } = require('./logger');
+
+// Only warnings and errors in production unless LOG_LEVEL or LOG_LEVELS says otherwise
+const logger = createLogger('blockchain', { level: process.env.NODE_ENV === 'production' ? 'warn' : 'info' });
 
 // Helper methods for selective logging
 logger.debugIf = (condition, message, meta = {}) => {
@@ -52,80 +27,63 @@ logger.infoIf = (condition, message, meta = {}) => {
 };
 
 // Constants
-const STABLE_TOKEN_DECIMALS = 8; // Can be configured based on token
-const MAX_BLOCK_RANGE = 10000; // Maximum block range to process at once
+const MAX_BLOCK_RANGE = parseInt(process.env.MAX_BLOCK_RANGE) || 10000; // Largest chunk / log query range; endpoints learn smaller limits
 const MAX_RETRY_COUNT = 3; // Maximum number of retries for RPC calls
 const RETRY_DELAY_MS = 2000; // Delay between retries
 const IS_DEV = process.env.NODE_ENV !== 'production';
+const BLOCK_CACHE_SIZE = 10000; // Block timestamps to keep in memory per network
+const BLOCK_FETCH_BATCH_SIZE = 20; // Parallel block header requests
+const INDEX_USERNAMES = process.env.INDEX_USERNAMES === 'true'; // Scan main chain blocks for setUsername calls (opt-in)
+const USERNAME_SCAN_MAX_BLOCKS = parseInt(process.env.USERNAME_SCAN_MAX_BLOCKS) || 100; // Largest range scanned block by block
+
+// Block timestamps by network, filled from fetched headers
+const blockTimestampCache = {};
 
 // Performance metrics
 const metrics = {
-  eventsProcessed: { campaigns: 0, donations: 0, withdrawals: 0 },
+  eventsProcessed: { campaigns: 0, donations: 0, withdrawals: 0, crossChain: 0, protocol: 0, usernames: 0 },
   dbOperations: 0,
   errors: 0,
+  reorgs: 0,
   processingTimeMs: 0
 };
 
-// Network configurations
-const NETWORKS = {
-  polygon: {
-    rpc: process.env.POLYGON_RPC,
-    contractAddress: process.env.POLYGON_CONTRACT_ADDRESS,
-    isMain: true
-  },
-  ethereum: {
-    rpc: process.env.ETH_RPC,
-    contractAddress: process.env.ETH_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  bsc: {
-    rpc: process.env.BSC_RPC,
-    contractAddress: process.env.BSC_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  base: {
-    rpc: process.env.BASE_RPC,
-    contractAddress: process.env.BASE_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  avalanche: {
-    rpc: process.env.AVALANCHE_RPC,
-    contractAddress: process.env.AVALANCHE_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  optimism: {
-    rpc: process.env.OPTIMISM_RPC,
-    contractAddress: process.env.OPTIMISM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  arbitrum: {
-    rpc: process.env.ARBITRUM_RPC,
-    contractAddress: process.env.ARBITRUM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  sonic: {
-    rpc: process.env.SONIC_RPC,
-    contractAddress: process.env.SONIC_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  soneium: {
-    rpc: process.env.SONEIUM_RPC,
-    contractAddress: process.env.SONEIUM_CONTRACT_ADDRESS,
-    isMain: false
-  },
-  // Add other networks...
-};
+// Prometheus metrics, counted once a chunk has committed
+const eventsCounter = createCounter('fundit_indexer_events_processed_total', 'Contract events (and username changes) indexed', ['network', 'event']);
+const chunkDuration = createHistogram('fundit_indexer_chunk_duration_seconds', 'Time to fetch and index one chunk of blocks', ['network'], [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60]);
+
+// Network configurations from the declarative registry (src/config/networks.json or
+// NETWORKS_CONFIG); disabled networks stay in the registry so their eids still resolve
+const NETWORK_REGISTRY = loadNetworks();
+const NETWORKS = Object.fromEntries(
+  Object.entries(NETWORK_REGISTRY).filter(([, config]) => config.enabled)
+);
+
+// Network name for a LayerZero endpoint id (null if not in the registry)
+function networkForEid(eid) {
+  return Object.keys(NETWORK_REGISTRY).find(key => NETWORK_REGISTRY[key].eid === eid) || null;
+}
 
-// Validate environment variables
+// Validate environment variables.
+// The registry schema is checked on load; here an enabled network only needs RPC URLs
+// and a contract address to be indexed, and only the main network is required.
 function validateEnvironment() {
   const issues = [];
   
   Object.entries(NETWORKS).forEach(([network, config]) => {
-    if (!config.rpc) {
-      issues.push(`Missing RPC URL for ${network}`);
+    const missing = [];
+    if (config.rpcUrls.length === 0) {
+      missing.push('RPC URL');
     }
     if (!config.contractAddress) {
-      issues.push(`Missing contract address for ${network}`);
+      missing.push('contract address');
+    }
+    if (missing.length === 0) return;
+    
+    if (config.isMain) {
+      issues.push(`Missing ${missing.join(' and ')} for main network ${network}`);
+    } else {
+      logger.warn(`Missing ${missing.join(' and ')} for ${network}, it will not be indexed`);
     }
   });
   
@@ -137,25 +95,43 @@ function validateEnvironment() {
   logger.info('Environment validation successful');
 }
 
-// Create providers and contracts with validation
+// Create providers and contracts with validation.
+// Each network has a pool of RPC endpoints (its rpc setting is a list or comma-separated string);
+// providers[network] and contracts[network] always resolve to the healthiest one, and to null
+// until preparePool(network) has verified an endpoint's chain id.
+const rpcPools = {};
 const providers = {};
 const contracts = {};
 
 function initializeProviders() {
   Object.entries(NETWORKS).forEach(([network, config]) => {
-    if (!config.rpc || !config.contractAddress) {
+    const rpcUrls = config.rpcUrls;
+    
+    if (rpcUrls.length === 0 || !config.contractAddress) {
       logger.warn(`Skipping ${network} due to missing configuration`);
       return;
     }
     
     try {
-      providers[network] = new ethers.JsonRpcProvider(config.rpc);
-      contracts[network] = new ethers.Contract(
-        config.contractAddress,
-        config.isMain ? mainChainABI : remoteChainABI,
-        providers[network]
-      );
-      logger.info(`Initialized provider and contract for ${network}`);
+      rpcPools[network] = createRpcPool(network, rpcUrls, {
+        chainId: config.chainId,
+        contractAddress: config.contractAddress,
+        abi: getActiveDeployment(network).abi,
+        maxLogRange: MAX_BLOCK_RANGE
+      });
+      
+      Object.defineProperty(providers, network, {
+        enumerable: true,
+        configurable: true,
+        get: () => rpcPools[network].getProvider()
+      });
+      Object.defineProperty(contracts, network, {
+        enumerable: true,
+        configurable: true,
+        get: () => rpcPools[network].getContract()
+      });
+      
+      logger.info(`Initialized ${rpcUrls.length} RPC endpoint(s) and contract for ${network}`);
     } catch (error) {
       logger.error(`Failed to initialize ${network}`, { 
         error: error.message, 
@@ -166,196 +142,264 @@ function initializeProviders() {
   });
 }
 
-// Retry wrapper for RPC calls
-async function withRetry(fn, name, ...args) {
+// Retry wrapper for RPC calls.
+// fn receives (provider, contract) of one endpoint; failures rotate to the next
+// best endpoint and every endpoint is tried once per round before backing off.
+// Log queries pass options.blockRange so endpoints can learn their range limits;
+// a query no endpoint accepts throws an error flagged rangeLimited.
+// Only endpoints whose chain id has been verified are used.
+async function withRetry(network, name, fn, options = {}) {
+  const pool = rpcPools[network];
+  const blockRange = options.blockRange || 0;
   let lastError;
-  for (let attempt = 1; attempt <= MAX_RETRY_COUNT; attempt++) {
-    try {
-      logger.debugIf(IS_DEV, `Attempting ${name} (try ${attempt}/${MAX_RETRY_COUNT})`);
-      const result = await fn(...args);
-      if (attempt > 1) {
-        logger.infoIf(IS_DEV, `${name} succeeded after ${attempt} attempts`);
-      }
-      return result;
-    } catch (error) {
-      lastError = error;
-      logger.warn(`${name} attempt ${attempt} failed: ${error.message}`);
-      if (attempt < MAX_RETRY_COUNT) {
-        await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS));
+  
+  await preparePool(network);
+  
+  for (let round = 1; round <= MAX_RETRY_COUNT; round++) {
+    const tried = new Set();
+    let endpoint;
+    
+    while ((endpoint = pool.select(tried, blockRange))) {
+      tried.add(endpoint.index);
+      const start = Date.now();
+      
+      try {
+        logger.debugIf(IS_DEV, `Attempting ${name} on ${endpoint.label} (round ${round}/${MAX_RETRY_COUNT})`);
+        const result = await fn(endpoint.provider, endpoint.contract);
+        pool.recordSuccess(endpoint, Date.now() - start);
+        if (blockRange) {
+          pool.recordRangeSuccess(endpoint, blockRange);
+        }
+        if (round > 1 || tried.size > 1) {
+          logger.infoIf(IS_DEV, `${name} succeeded on ${endpoint.label} after ${tried.size + (round - 1) * pool.size} attempts`);
+        }
+        return result;
+      } catch (error) {
+        // Too many blocks for this endpoint: try one that still accepts the range,
+        // otherwise let the caller retry with a smaller one
+        if (blockRange && isRangeLimitError(error) && pool.recordRangeLimit(endpoint, blockRange)) {
+          pool.recordSuccess(endpoint, Date.now() - start);
+          if (pool.canServeRange(tried, blockRange)) {
+            continue;
+          }
+          error.rangeLimited = true;
+          throw error;
+        }
+        
+        // The request itself is invalid, so another endpoint would fail the same way
+        if (isRequestError(error)) {
+          pool.recordSuccess(endpoint, Date.now() - start);
+          throw error;
+        }
+        
+        lastError = error;
+        pool.recordFailure(endpoint, error);
+        logger.warn(`${name} failed on ${network} RPC ${endpoint.label}: ${redactUrls(error.shortMessage || error.message)}`);
       }
     }
+    
+    if (round < MAX_RETRY_COUNT) {
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * round));
+    }
   }
   
   // If we get here, all retries failed
-  logger.error(`${name} failed after ${MAX_RETRY_COUNT} attempts`);
+  logger.error(`${name} failed on every ${network} RPC endpoint after ${MAX_RETRY_COUNT} rounds`);
   throw lastError;
 }
 
-// Campaign indexing
-async function indexCampaignEvents(network, fromBlock, toBlock) {
-  logger.infoIf(IS_DEV, `Indexing ${network} campaign events from ${fromBlock} to ${toBlock}`);
-  
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping campaign events for non-main chain ${network}`);
-    return; // Only main chain has campaign events
-  }
-  
-  const contract = contracts[network];
+// Latest block across the network's endpoints. Also refreshes endpoint lag
+// scores and stores the pool's health so other processes can report it.
+async function getChainHead(network) {
+  const pool = rpcPools[network];
   
   try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
-    
-    // Fetch created events
-    const createdFilter = contract.filters.CampaignCreated();
-    const createdEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignCreated', 
-      createdFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Fetch edited events
-    const editedFilter = contract.filters.CampaignEdited();
-    const editedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignEdited',
-      editedFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Fetch ended events
-    const endedFilter = contract.filters.CampaignEnded();
-    const endedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-CampaignEnded',
-      endedFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Get all campaign IDs to fetch in batch
-    const allCampaignIds = new Set();
-    createdEvents.forEach(event => allCampaignIds.add(event.args.campaignId.toString()));
-    editedEvents.forEach(event => allCampaignIds.add(event.args.campaignId.toString()));
-    
-    // Pre-fetch campaign data in batches to avoid multiple RPC calls
-    const campaignDataMap = new Map();
-    const campaignIdsList = [...allCampaignIds];
-    
-    // Process campaign data in batches of 20 to avoid RPC limits
-    const BATCH_SIZE = 20;
-    for (let i = 0; i < campaignIdsList.length; i += BATCH_SIZE) {
-      const batch = campaignIdsList.slice(i, i + BATCH_SIZE);
-      const campaignPromises = batch.map(id => 
-        withRetry(
-          contract.campaigns.bind(contract), 
-          `fetch-campaign-${id}`, 
-          id
-        )
+    await preparePool(network);
+    return await pool.checkHeads();
+  } finally {
+    await saveRpcHealth(network);
+  }
+}
+
+// Before a pool is used: reload the log range limits endpoints learned in earlier
+// runs and check every endpoint's chain id against the registry. Every entry point
+// calls this (withRetry does it for each request) so no request reaches an unverified endpoint.
+const restoredRpcState = new Set();
+
+async function preparePool(network) {
+  if (!restoredRpcState.has(network)) {
+    try {
+      const result = await db.query(
+        'SELECT endpoint, log_range_limit FROM rpc_endpoint_health WHERE chain = $1',
+        [network]
       );
       
-      const campaignResults = await Promise.all(campaignPromises);
-      batch.forEach((id, index) => {
-        campaignDataMap.set(id, campaignResults[index]);
-      });
-    }
-    
-    // Prepare batch inserts for created events
-    const createdValues = [];
-    const createdTxValues = [];
-    
-    for (const event of createdEvents) {
-      const campaignId = event.args.campaignId.toString();
-      const creator = event.args.creator;
-      
-      // Get pre-fetched campaign data
-      const campaign = campaignDataMap.get(campaignId);
-      
-      if (!campaign) {
-        logger.warn(`Campaign data not found for ID ${campaignId}`);
-        continue;
+      for (const row of result.rows) {
+        rpcPools[network].setLogRange(row.endpoint, row.log_range_limit);
       }
-      
-      createdValues.push([
-        campaignId,
-        campaign.name,
-        campaign.description,
-        ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
-        campaign.socialLink,
-        campaign.imageId.toString(),
-        campaign.creator,
-        campaign.ended,
-        ethers.formatUnits(campaign.totalStable, STABLE_TOKEN_DECIMALS),
-        network,
-        event.transactionHash
-      ]);
-      
-      createdTxValues.push([
-        'Campaign Created',
-        creator,
-        campaignId,
-        network,
-        event.transactionHash
-      ]);
+      restoredRpcState.add(network);
+    } catch (error) {
+      logger.warn(`Failed to restore RPC state for ${network}`, { error: error.message });
     }
-    
-    // Batch insert campaigns
-    if (createdValues.length > 0) {
-      const createdParams = [];
-      const createdQueryParts = [];
-      
-      createdValues.forEach((values, i) => {
-        const offset = i * 11; // 11 params per row
-        createdQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, $${offset+6}, $${offset+7}, $${offset+8}, $${offset+9}, $${offset+10}, $${offset+11})`);
-        createdParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO campaigns (
-          id, name, description, target_amount, social_link, image_id, 
-          creator, ended, amount_raised, chain, tx_hash
-        ) VALUES ${createdQueryParts.join(', ')}
-        ON CONFLICT (id) DO NOTHING`,
-        createdParams
-      );
-      metrics.dbOperations++;
-      
-      // Batch insert campaign created transactions
-      const createdTxParams = [];
-      const createdTxQueryParts = [];
-      
-      createdTxValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        createdTxQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        createdTxParams.push(...values);
-      });
+  }
+  
+  // Only endpoints not yet verified are queried, so this is cheap after the first run
+  await rpcPools[network].verifyChainId();
+}
+
+// Largest block range the network's endpoints currently accept for log queries
+function getLogRange(network) {
+  return rpcPools[network] ? rpcPools[network].getLogRange() : MAX_BLOCK_RANGE;
+}
+
+// Whether a chunk rejected for its size can be retried: only when the endpoints now
+// accept a strictly smaller range than the one that failed, so retries always end
+function canRetrySmaller(network, error, failedRange) {
+  return Boolean(error.rangeLimited) && getLogRange(network) < failedRange;
+}
+
+// Persist endpoint health for the indexer status
+async function saveRpcHealth(network) {
+  const endpoints = rpcPools[network].getStatus();
+  
+  try {
+    await db.withTransaction(async (client) => {
+      for (const endpoint of endpoints) {
+        await client.query(
+          `INSERT INTO rpc_endpoint_health (
+            chain, endpoint, healthy, score, latency_ms, error_rate, requests, failures,
+            block_number, block_lag, last_error, last_error_at, ejected_until, ejection_reason,
+            log_range_limit, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, NOW())
+          ON CONFLICT (chain, endpoint) DO UPDATE SET
+            healthy = $3,
+            score = $4,
+            latency_ms = $5,
+            error_rate = $6,
+            requests = $7,
+            failures = $8,
+            block_number = $9,
+            block_lag = $10,
+            last_error = $11,
+            last_error_at = $12,
+            ejected_until = $13,
+            ejection_reason = $14,
+            log_range_limit = $15,
+            updated_at = NOW()`,
+          [
+            network,
+            endpoint.endpoint,
+            endpoint.healthy,
+            endpoint.score,
+            endpoint.latencyMs,
+            endpoint.errorRate,
+            endpoint.requests,
+            endpoint.failures,
+            endpoint.blockNumber,
+            endpoint.blockLag,
+            endpoint.lastError,
+            endpoint.lastErrorAt,
+            endpoint.ejectedUntil,
+            endpoint.ejectionReason,
+            endpoint.logRange
+          ]
+        );
+      }
       
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, timestamp, chain, tx_hash
-        ) VALUES ${createdTxQueryParts.join(', ')}`,
-        createdTxParams
+      // Drop endpoints that are no longer configured
+      await client.query(
+        'DELETE FROM rpc_endpoint_health WHERE chain = $1 AND NOT (endpoint = ANY($2))',
+        [network, endpoints.map(endpoint => endpoint.endpoint)]
       );
-      metrics.dbOperations++;
-    }
+    });
+    metrics.dbOperations++;
+  } catch (error) {
+    logger.warn(`Failed to save RPC health for ${network}`, { error: error.message });
+  }
+}
+
+// Current endpoint health of a network's RPC pool
+function getRpcStatus(network) {
+  return rpcPools[network] ? rpcPools[network].getStatus() : [];
+}
+
+// A network's contract deployments, and the ones whose block range overlaps fromBlock-toBlock
+const deploymentInterfaces = new Map();
+
+function deploymentInterface(deployment) {
+  if (!deploymentInterfaces.has(deployment)) {
+    deploymentInterfaces.set(deployment, new ethers.Interface(deployment.abi));
+  }
+  return deploymentInterfaces.get(deployment);
+}
+
+function getActiveDeployment(network) {
+  const deployments = NETWORKS[network].deployments;
+  return deployments[deployments.length - 1];
+}
+
+function deploymentsInRange(network, fromBlock, toBlock) {
+  return NETWORKS[network].deployments.filter(deployment =>
+    deployment.address &&
+    (deployment.startBlock === null || deployment.startBlock <= toBlock) &&
+    (deployment.endBlock === null || deployment.endBlock >= fromBlock)
+  );
+}
+
+function inDeploymentRange(deployment, blockNumber) {
+  return (deployment.startBlock === null || blockNumber >= deployment.startBlock) &&
+    (deployment.endBlock === null || blockNumber <= deployment.endBlock);
+}
+
+// Batch view calls on a network's contract through Multicall3, all read at the same block.
+// options.deployment selects an older deployment (defaults to the active one).
+// Returns { blockNumber, results } with one { success, value, error } per argument list.
+async function readContract(network, method, argsList, options = {}) {
+  const deployment = options.deployment || getActiveDeployment(network);
+  const iface = deploymentInterface(deployment);
+  const calls = argsList.map(args => ({
+    target: deployment.address,
+    iface,
+    method,
+    args
+  }));
+  
+  return withRetry(
+    network,
+    `multicall-${method}`,
+    provider => multicall(provider, calls, options)
+  );
+}
+
+// Rewrite the editable details of campaigns as they were at a block, after the events
+// they were last taken from were removed (rollback or reindex). Details versions are
+// reset by removeBlockRange; this restores the values.
+async function restoreCampaignDetails(client, network, campaignIds, blockNumber) {
+  if (campaignIds.length === 0) return 0;
+  
+  const result = await client.query(
+    'SELECT id, deployment_id, onchain_id FROM campaigns WHERE id = ANY($1)',
+    [campaignIds]
+  );
+  
+  let restored = 0;
+  for (const deployment of NETWORKS[network].deployments) {
+    const rows = result.rows.filter(row => row.deployment_id === deployment.id);
+    if (rows.length === 0) continue;
     
-    // Process edited events - these need individual updates
-    for (const event of editedEvents) {
-      const campaignId = event.args.campaignId.toString();
-      
-      // Get pre-fetched campaign data
-      const campaign = campaignDataMap.get(campaignId);
-      
-      if (!campaign) {
-        logger.warn(`Campaign data not found for ID ${campaignId} during edit`);
+    const { results } = await readContract(network, 'campaigns', rows.map(row => [row.onchain_id]), {
+      deployment,
+      blockTag: blockNumber
+    });
+    
+    for (const [index, row] of rows.entries()) {
+      if (!results[index].success) {
+        logger.warn(`Failed to read campaign ${row.id} at block ${blockNumber} on ${network}`, { error: results[index].error });
         continue;
       }
       
-      await db.query(
+      const campaign = results[index].value;
+      await client.query(
         `UPDATE campaigns SET
           name = $1,
           description = $2,
@@ -367,247 +411,317 @@ async function indexCampaignEvents(network, fromBlock, toBlock) {
         [
           campaign.name,
           campaign.description,
-          ethers.formatUnits(campaign.target, STABLE_TOKEN_DECIMALS),
+          formatStable(campaign.target),
           campaign.socialLink,
           campaign.imageId.toString(),
-          campaignId
+          row.id
         ]
       );
-      metrics.dbOperations++;
-      
-      // Record transaction
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, timestamp, chain, tx_hash
-        ) VALUES ($1, $2, $3, NOW(), $4, $5)`,
-        [
-          'Campaign Edited',
-          campaign.creator,
-          campaignId,
-          network,
-          event.transactionHash
-        ]
-      );
-      metrics.dbOperations++;
+      restored++;
     }
-    
-    // Process ended events - batch processing where possible
-    const endedValues = [];
-    const endedTxValues = [];
-    
-    for (const event of endedEvents) {
-      const campaignId = event.args.campaignId.toString();
-      const finalAmount = ethers.formatUnits(event.args.finalStableValue, STABLE_TOKEN_DECIMALS);
-      
-      endedValues.push([
-        finalAmount, 
-        campaignId
-      ]);
-      
-      endedTxValues.push([
-        'Campaign Ended',
-        campaignId,
-        finalAmount,
-        network,
-        event.transactionHash
-      ]);
+  }
+  
+  return restored;
+}
+
+// Fetch a block header through the retry wrapper
+async function fetchBlock(network, blockNumber) {
+  const block = await withRetry(network, `getBlock-${blockNumber}`, provider => provider.getBlock(blockNumber));
+  
+  if (block) {
+    cacheBlockTimestamp(network, block.number, block.timestamp);
+  }
+  
+  return block;
+}
+
+// Headers of the blocks in a chunk that can still be reorged: those above the finalized
+// block and within the network's confirmation depth of the chunk's end. The chunk's last
+// block is always included so the next batch can be checked against it.
+async function fetchUnfinalizedHeaders(network, fromBlock, toBlock, finalizedBlock) {
+  const depth = Math.max(1, NETWORKS[network].confirmations);
+  const firstBlock = finalizedBlock === undefined ?
+    toBlock :
+    Math.min(toBlock, Math.max(fromBlock, finalizedBlock + 1, toBlock - depth + 1));
+  
+  const headers = [];
+  for (let start = firstBlock; start <= toBlock; start += BLOCK_FETCH_BATCH_SIZE) {
+    const blockNumbers = [];
+    for (let n = start; n <= Math.min(toBlock, start + BLOCK_FETCH_BATCH_SIZE - 1); n++) {
+      blockNumbers.push(n);
     }
     
-    // Batch update campaigns
-    for (const [finalAmount, campaignId] of endedValues) {
-      await db.query(
-        `UPDATE campaigns SET
-          ended = TRUE,
-          amount_raised = $1,
-          updated_at = NOW()
-        WHERE id = $2`,
-        [finalAmount, campaignId]
-      );
-      metrics.dbOperations++;
+    const blocks = await Promise.all(blockNumbers.map(blockNumber => fetchBlock(network, blockNumber)));
+    headers.push(...blocks.filter(Boolean));
+  }
+  
+  return headers;
+}
+
+// Remember a block timestamp, evicting the oldest entries once the cache is full
+function cacheBlockTimestamp(network, blockNumber, timestamp) {
+  if (!blockTimestampCache[network]) {
+    blockTimestampCache[network] = new Map();
+  }
+  
+  const cache = blockTimestampCache[network];
+  cache.set(blockNumber, timestamp);
+  
+  while (cache.size > BLOCK_CACHE_SIZE) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+// Get on-chain timestamps (unix seconds) for a set of blocks, fetching only uncached headers
+async function getBlockTimestamps(network, blockNumbers) {
+  const uniqueBlocks = [...new Set(blockNumbers)];
+  const cache = blockTimestampCache[network] || new Map();
+  const missing = uniqueBlocks.filter(blockNumber => !cache.has(blockNumber));
+  
+  // Fetch missing headers in parallel batches to stay within RPC limits
+  for (let i = 0; i < missing.length; i += BLOCK_FETCH_BATCH_SIZE) {
+    const batch = missing.slice(i, i + BLOCK_FETCH_BATCH_SIZE);
+    await Promise.all(batch.map(blockNumber => fetchBlock(network, blockNumber)));
+  }
+  
+  const timestamps = new Map();
+  for (const blockNumber of uniqueBlocks) {
+    const timestamp = blockTimestampCache[network] && blockTimestampCache[network].get(blockNumber);
+    if (timestamp === undefined) {
+      throw new Error(`Block ${blockNumber} not found on ${network}`);
     }
-    
-    // Batch insert campaign ended transactions
-    if (endedTxValues.length > 0) {
-      const endedTxParams = [];
-      const endedTxQueryParts = [];
-      
-      endedTxValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        endedTxQueryParts.push(`($${offset+1}, (SELECT creator FROM campaigns WHERE id = $${offset+2}), $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        endedTxParams.push(...values);
+    timestamps.set(blockNumber, timestamp);
+  }
+  
+  return timestamps;
+}
+
+// Find the block a contract was deployed in by binary searching eth_getCode over
+// history. Needs an endpoint that serves historical state (an archive node).
+async function findDeployBlock(network, address, headBlock) {
+  const hasCode = async (blockNumber) => {
+    const code = await withRetry(
+      network,
+      `getCode-${blockNumber}`,
+      provider => provider.getCode(address, blockNumber)
+    );
+    return code !== '0x';
+  };
+  
+  if (!(await hasCode(headBlock))) {
+    throw new Error(`No contract deployed at ${address} on ${network}`);
+  }
+  
+  let low = 0;
+  let high = headBlock;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await hasCode(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  
+  logger.info(`Discovered ${network} deploy block ${low} for ${address}`);
+  return low;
+}
+
+// Determine the latest block considered final for a network
+async function getFinalizedBlock(network, currentBlock) {
+  const config = NETWORKS[network];
+  
+  if (config.finalityTag) {
+    try {
+      const block = await fetchBlock(network, config.finalityTag);
+      if (block) {
+        return block.number;
+      }
+    } catch (error) {
+      logger.warn(`${network} does not support the "${config.finalityTag}" block tag, falling back to confirmation depth`, {
+        error: error.message
       });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, amount, timestamp, chain, tx_hash
-        ) VALUES ${endedTxQueryParts.join(', ')}`,
-        endedTxParams
+    }
+  }
+  
+  return Math.max(0, currentBlock - config.confirmations);
+}
+
+// Mark rows from blocks at or below the finalized block as confirmed
+async function confirmBlocks(network, finalizedBlock, currentBlock) {
+  await db.withTransaction(async (client) => {
+    for (const table of ['campaigns', 'donations', 'transactions', 'withdrawals']) {
+      await client.query(
+        `UPDATE ${table} SET confirmed = TRUE
+         WHERE chain = $1 AND confirmed = FALSE AND block_number <= $2`,
+        [network, finalizedBlock]
       );
       metrics.dbOperations++;
     }
     
-    // Commit all changes
-    await db.query('COMMIT');
+    await client.query(
+      `UPDATE cross_chain_donations SET confirmed = TRUE
+       WHERE source_chain = $1 AND confirmed = FALSE AND source_block_number <= $2`,
+      [network, finalizedBlock]
+    );
     metrics.dbOperations++;
     
-    // Update metrics
-    metrics.eventsProcessed.campaigns += createdEvents.length + editedEvents.length + endedEvents.length;
-    
-    // Only log results if we found events or in development mode
-    const hasEvents = createdEvents.length > 0 || editedEvents.length > 0 || endedEvents.length > 0;
-    logger.infoIf(IS_DEV || hasEvents, `Indexed ${createdEvents.length} created, ${editedEvents.length} edited, ${endedEvents.length} ended campaigns`);
-    
-  } catch (error) {
-    await db.query('ROLLBACK');
+    await client.query(
+      `UPDATE protocol_settings_history SET confirmed = TRUE
+       WHERE chain = $1 AND confirmed = FALSE AND block_number <= $2`,
+      [network, finalizedBlock]
+    );
     metrics.dbOperations++;
-    metrics.errors++;
     
-    logger.error(`Error indexing ${network} campaigns`, {
-      error: error.message,
-      stack: error.stack,
-      fromBlock,
-      toBlock,
-      network
-    });
+    await client.query(
+      `UPDATE username_changes SET confirmed = TRUE
+       WHERE chain = $1 AND confirmed = FALSE AND block_number <= $2`,
+      [network, finalizedBlock]
+    );
+    metrics.dbOperations++;
     
-    throw error;
-  }
+    await client.query(
+      `UPDATE indexer_state SET
+        chain_head = $1,
+        finalized_block = $2
+      WHERE chain = $3`,
+      [currentBlock, finalizedBlock, network]
+    );
+    metrics.dbOperations++;
+  });
 }
 
-// Donation indexing
-async function indexDonationEvents(network, fromBlock, toBlock) {
-  // Skip non-main chains for donations
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping donation indexing for non-main chain ${network}`);
-    return;
+// Fetch and decode every event of the chunk's deployments that has a handler, sorted in
+// block/log order. All deployments and event types share a single eth_getLogs per chunk.
+async function fetchChunkEvents(network, fromBlock, toBlock) {
+  const deployments = deploymentsInRange(network, fromBlock, toBlock)
+    .map(deployment => ({ deployment, handlers: getHandlers(network, deployment) }))
+    .filter(({ handlers }) => handlers.topics.length > 0);
+  
+  if (deployments.length === 0) {
+    return [];
   }
   
-  logger.infoIf(IS_DEV, `Indexing ${network} donation events from ${fromBlock} to ${toBlock}`);
+  const logs = await withRetry(
+    network,
+    'getLogs-chunk',
+    provider => provider.getLogs({
+      address: [...new Set(deployments.map(({ deployment }) => deployment.address))],
+      topics: [[...new Set(deployments.flatMap(({ handlers }) => handlers.topics))]],
+      fromBlock,
+      toBlock
+    }),
+    { blockRange: toBlock - fromBlock + 1 }
+  );
   
-  const contract = contracts[network];
+  const events = [];
   
-  try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
+  for (const log of logs) {
+    if (log.removed) continue;
     
-    // Fetch donation events
-    const donationFilter = contract.filters.DonationMade();
-    const donationEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-DonationMade',
-      donationFilter, 
-      fromBlock, 
-      toBlock
+    // The deployment entry covering this contract at this block
+    const match = deployments.find(({ deployment }) =>
+      deployment.address.toLowerCase() === log.address.toLowerCase() &&
+      inDeploymentRange(deployment, log.blockNumber)
     );
+    if (!match) continue;
     
-    // Prepare batch values
-    const donationValues = [];
-    const updateCampaignValues = [];
-    const transactionValues = [];
-    
-    for (const event of donationEvents) {
-      const args = { 
-        campaignId: event.args.campaignId.toString(),
-        donor: event.args.donor,
-        netUSDValue: event.args.netUSDValue
-      };
-      
-      const campaignId = args.campaignId;
-      const donor = args.donor;
-      const amount = ethers.formatUnits(args.netUSDValue, STABLE_TOKEN_DECIMALS);
-      
-      donationValues.push([
-        campaignId, 
-        donor, 
-        amount, 
-        network, 
-        event.transactionHash
-      ]);
-      
-      updateCampaignValues.push([
-        amount, 
-        campaignId
-      ]);
-      
-      transactionValues.push([
-        'Donation', 
-        donor, 
-        campaignId, 
-        amount, 
-        network, 
-        event.transactionHash
-      ]);
-    }
+    const parsed = match.handlers.iface.parseLog(log);
+    if (!parsed) continue;
     
-    // Batch insert donations
-    if (donationValues.length > 0) {
-      const donationParams = [];
-      const donationQueryParts = [];
-      
-      donationValues.forEach((values, i) => {
-        const offset = i * 5; // 5 params per row
-        donationQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, NOW(), $${offset+4}, $${offset+5})`);
-        donationParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO donations (
-          campaign_id, donor, amount, timestamp, chain, tx_hash
-        ) VALUES ${donationQueryParts.join(', ')}`,
-        donationParams
-      );
-      metrics.dbOperations++;
-    }
+    events.push({
+      name: parsed.name,
+      args: parsed.args,
+      deployment: match.deployment,
+      handlers: match.handlers.byEvent.get(parsed.name) || [],
+      blockNumber: log.blockNumber,
+      index: log.index,
+      transactionHash: log.transactionHash
+    });
+  }
+  
+  return events.sort((a, b) => a.blockNumber - b.blockNumber || a.index - b.index);
+}
+
+// Handlers per deployment, resolved from the registry on first use
+const deploymentHandlers = new Map();
+
+function getHandlers(network, deployment) {
+  if (!deploymentHandlers.has(deployment)) {
+    deploymentHandlers.set(deployment, getDeploymentHandlers(network, NETWORKS[network], deployment));
+  }
+  return deploymentHandlers.get(deployment);
+}
+
+// Index every contract event of a chunk through the handler registry. Events are
+// applied in block/log order so effects within a block (e.g. a donation followed by
+// the campaign ending) stay correct.
+async function indexChunkEvents(network, fromBlock, toBlock, client) {
+  logger.infoIf(IS_DEV, `Indexing ${network} events from ${fromBlock} to ${toBlock}`);
+  
+  try {
+    const events = await fetchChunkEvents(network, fromBlock, toBlock);
     
-    // Update campaign amounts individually to ensure consistency
-    for (const [amount, campaignId] of updateCampaignValues) {
-      await db.query(
-        `UPDATE campaigns SET
-          amount_raised = amount_raised + $1,
-          updated_at = NOW()
-        WHERE id = $2`,
-        [amount, campaignId]
-      );
-      metrics.dbOperations++;
+    if (events.length === 0) {
+      logger.infoIf(IS_DEV, `No ${network} events in blocks ${fromBlock}-${toBlock}`);
+      return {};
     }
     
-    // Batch insert transactions
-    if (transactionValues.length > 0) {
-      const txParams = [];
-      const txQueryParts = [];
-      
-      transactionValues.forEach((values, i) => {
-        const offset = i * 6; // 6 params per row
-        txQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, NOW(), $${offset+5}, $${offset+6})`);
-        txParams.push(...values);
-      });
-      
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, campaign_id, amount, timestamp, chain, tx_hash
-        ) VALUES ${txQueryParts.join(', ')}`,
-        txParams
-      );
-      metrics.dbOperations++;
+    // Get on-chain timestamps for every block with an event
+    const blockTimestamps = await getBlockTimestamps(
+      network,
+      events.map(event => event.blockNumber)
+    );
+    
+    // Handlers write through the chunk's transaction; every query counts as a db operation
+    const ctx = {
+      network,
+      config: NETWORKS[network],
+      client: {
+        query: (...args) => {
+          metrics.dbOperations++;
+          return client.query(...args);
+        }
+      },
+      logger,
+      state: {},
+      timestamp: event => blockTimestamps.get(event.blockNumber),
+      readContract: (method, argsList, options) => readContract(network, method, argsList, options),
+      networkForEid
+    };
+    
+    // Run each prepare hook once with all events of the handlers that share it
+    const prepareEvents = new Map();
+    for (const event of events) {
+      for (const handler of event.handlers) {
+        if (!handler.prepare) continue;
+        if (!prepareEvents.has(handler.prepare)) {
+          prepareEvents.set(handler.prepare, []);
+        }
+        prepareEvents.get(handler.prepare).push(event);
+      }
+    }
+    for (const [prepare, preparedEvents] of prepareEvents) {
+      await prepare(ctx, preparedEvents);
     }
     
-    // Commit all changes
-    await db.query('COMMIT');
-    metrics.dbOperations++;
+    const counts = {};
     
-    // Update metrics
-    metrics.eventsProcessed.donations += donationEvents.length;
+    for (const event of events) {
+      for (const handler of event.handlers) {
+        await handler.handle(ctx, event);
+        metrics.eventsProcessed[handler.metric] = (metrics.eventsProcessed[handler.metric] || 0) + 1;
+      }
+      counts[event.name] = (counts[event.name] || 0) + 1;
+    }
     
-    // Only log results if we found events or in development mode
-    logger.infoIf(IS_DEV || donationEvents.length > 0, `Indexed ${donationEvents.length} donations`);
+    logger.info(`Indexed ${events.length} ${network} events from blocks ${fromBlock}-${toBlock}`, counts);
     
+    return counts;
   } catch (error) {
-    await db.query('ROLLBACK');
-    metrics.dbOperations++;
     metrics.errors++;
     
-    logger.error(`Error indexing ${network} donations`, {
+    logger.error(`Error indexing ${network} events`, {
       error: error.message,
       stack: error.stack,
       fromBlock,
@@ -619,177 +733,128 @@ async function indexDonationEvents(network, fromBlock, toBlock) {
   }
 }
 
-// Withdrawal indexing
-async function indexWithdrawalEvents(network, fromBlock, toBlock) {
-  logger.infoIf(IS_DEV, `Indexing ${network} withdrawal events from ${fromBlock} to ${toBlock}`);
+// Username indexing. setUsername emits no event, so the chunk's blocks are scanned
+// for successful transactions that call it directly on the contract. That costs one
+// full block request per block, so it is opt-in (INDEX_USERNAMES=true) and limited to
+// realtime-sized ranges; catch-up and backfill chunks are not scanned.
+async function indexUsernameChanges(network, fromBlock, toBlock, client) {
+  if (!NETWORKS[network].isMain || !INDEX_USERNAMES) {
+    return 0; // Usernames only live on the main chain
+  }
   
-  if (!NETWORKS[network].isMain) {
-    logger.infoIf(IS_DEV, `Skipping withdrawal events for non-main chain ${network}`);
-    return; // Only main chain has withdrawal events
+  if (toBlock - fromBlock + 1 > USERNAME_SCAN_MAX_BLOCKS) {
+    logger.warn(`Skipping username scan of ${network} blocks ${fromBlock}-${toBlock}: range exceeds ${USERNAME_SCAN_MAX_BLOCKS} blocks`);
+    return 0;
   }
   
-  const contract = contracts[network];
+  logger.infoIf(IS_DEV, `Scanning ${network} blocks ${fromBlock} to ${toBlock} for username changes`);
+  
+  // setUsername selector per deployment address active in the chunk
+  const deployments = deploymentsInRange(network, fromBlock, toBlock)
+    .map(deployment => {
+      const fragment = deploymentInterface(deployment).getFunction('setUsername');
+      return fragment ? { deployment, address: deployment.address.toLowerCase(), fragment } : null;
+    })
+    .filter(Boolean);
+  
+  if (deployments.length === 0) {
+    return 0;
+  }
   
   try {
-    // Start transaction
-    await db.query('BEGIN');
-    metrics.dbOperations++;
-    
-    // Fetch withdrawal request events
-    const requestFilter = contract.filters.WithdrawalRequested();
-    const requestEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-WithdrawalRequested',
-      requestFilter, 
-      fromBlock, 
-      toBlock
-    );
+    const calls = [];
     
-    // Fetch withdrawal processed events
-    const processedFilter = contract.filters.WithdrawalProcessed();
-    const processedEvents = await withRetry(
-      contract.queryFilter.bind(contract), 
-      'queryFilter-WithdrawalProcessed',
-      processedFilter, 
-      fromBlock, 
-      toBlock
-    );
-    
-    // Prepare batch values for requests
-    const requestValues = [];
-    const requestTxValues = [];
-    
-    for (const event of requestEvents) {
-      const requestId = event.args.requestId.toString();
-      const requester = event.args.requester;
-      const amount = ethers.formatUnits(event.args.amount, STABLE_TOKEN_DECIMALS);
-      const token = event.args.token;
-      const targetChain = event.args.targetChainId.toString();
+    // Fetch full blocks in parallel batches to stay within RPC limits
+    for (let start = fromBlock; start <= toBlock; start += BLOCK_FETCH_BATCH_SIZE) {
+      const blockNumbers = [];
+      for (let n = start; n <= Math.min(toBlock, start + BLOCK_FETCH_BATCH_SIZE - 1); n++) {
+        blockNumbers.push(n);
+      }
       
-      requestValues.push([
-        requestId,
-        requester,
-        amount,
-        token,
-        targetChain,
-        'Requested',
+      const blocks = await Promise.all(blockNumbers.map(blockNumber => withRetry(
         network,
-        event.transactionHash
-      ]);
+        `getBlock-${blockNumber}-full`,
+        provider => provider.getBlock(blockNumber, true)
+      )));
       
-      requestTxValues.push([
-        'Withdrawal Requested',
-        requester,
-        amount,
-        token,
-        targetChain,
-        network,
-        event.transactionHash
-      ]);
+      for (const block of blocks) {
+        if (!block) continue;
+        cacheBlockTimestamp(network, block.number, block.timestamp);
+        
+        for (const tx of block.prefetchedTransactions) {
+          const target = tx.to && deployments.find(candidate =>
+            candidate.address === tx.to.toLowerCase() &&
+            inDeploymentRange(candidate.deployment, block.number) &&
+            tx.data.startsWith(candidate.fragment.selector)
+          );
+          if (target) {
+            calls.push({ tx, target, timestamp: block.timestamp });
+          }
+        }
+      }
     }
     
-    // Batch insert withdrawal requests
-    if (requestValues.length > 0) {
-      const requestParams = [];
-      const requestQueryParts = [];
+    const values = [];
+    
+    for (const { tx, target, timestamp } of calls) {
+      // Reverted calls did not change the username
+      const receipt = await withRetry(
+        network,
+        `getTransactionReceipt-${tx.hash}`,
+        provider => provider.getTransactionReceipt(tx.hash)
+      );
+      if (!receipt || receipt.status !== 1) continue;
       
-      requestValues.forEach((values, i) => {
-        const offset = i * 8; // 8 params per row
-        requestQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, $${offset+6}, NOW(), $${offset+7}, $${offset+8})`);
-        requestParams.push(...values);
-      });
+      let username;
+      try {
+        [username] = deploymentInterface(target.deployment).decodeFunctionData(target.fragment, tx.data);
+      } catch (decodeError) {
+        logger.warn(`Could not decode setUsername call ${tx.hash} on ${network}`, {
+          error: decodeError.message
+        });
+        continue;
+      }
       
-      await db.query(
-        `INSERT INTO withdrawals (
-          id, user_address, amount, token, target_chain, status, 
-          request_timestamp, chain, tx_hash
-        ) VALUES ${requestQueryParts.join(', ')}
-        ON CONFLICT (id) DO NOTHING`,
-        requestParams
-      );
-      metrics.dbOperations++;
+      values.push([
+        network,
+        tx.from.toLowerCase(),
+        username,
+        tx.hash,
+        tx.blockNumber,
+        tx.index,
+        timestamp
+      ]);
     }
     
-    // Batch insert withdrawal request transactions
-    if (requestTxValues.length > 0) {
-      const requestTxParams = [];
-      const requestTxQueryParts = [];
+    if (values.length > 0) {
+      const params = [];
+      const queryParts = [];
       
-      requestTxValues.forEach((values, i) => {
+      values.forEach((row, i) => {
         const offset = i * 7; // 7 params per row
-        requestTxQueryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, NOW(), $${offset+6}, $${offset+7})`);
-        requestTxParams.push(...values);
+        queryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, $${offset+5}, $${offset+6}, to_timestamp($${offset+7}))`);
+        params.push(...row);
       });
       
-      await db.query(
-        `INSERT INTO transactions (
-          type, user_address, amount, token, target_chain, timestamp, chain, tx_hash
-        ) VALUES ${requestTxQueryParts.join(', ')}`,
-        requestTxParams
+      await client.query(
+        `INSERT INTO username_changes (
+          chain, address, username, tx_hash, block_number, tx_index, set_at
+        ) VALUES ${queryParts.join(', ')}
+        ON CONFLICT (chain, tx_hash) DO NOTHING`,
+        params
       );
       metrics.dbOperations++;
     }
     
-    // Process processed events - need to be done individually due to dependencies
-    for (const event of processedEvents) {
-      const requestId = event.args.requestId.toString();
-      
-      // Get withdrawal data for transaction log
-      const withdrawal = await db.query(
-        'SELECT * FROM withdrawals WHERE id = $1',
-        [requestId]
-      );
-      metrics.dbOperations++;
-      
-      if (withdrawal.rows.length > 0) {
-        const withdrawalData = withdrawal.rows[0];
-        
-        await db.query(
-          `UPDATE withdrawals SET
-            status = $1,
-            processed_timestamp = NOW(),
-            processed_tx_hash = $2
-          WHERE id = $3`,
-          ['Processed', event.transactionHash, requestId]
-        );
-        metrics.dbOperations++;
-        
-        // Record transaction
-        await db.query(
-          `INSERT INTO transactions (
-            type, user_address, amount, token, target_chain, timestamp, chain, tx_hash
-          ) VALUES ($1, $2, $3, $4, $5, NOW(), $6, $7)`,
-          [
-            'Withdrawal Processed',
-            withdrawalData.user_address,
-            withdrawalData.amount,
-            withdrawalData.token,
-            withdrawalData.target_chain,
-            network,
-            event.transactionHash
-          ]
-        );
-        metrics.dbOperations++;
-      }
-    }
-    
-    // Commit all changes
-    await db.query('COMMIT');
-    metrics.dbOperations++;
-    
-    // Update metrics
-    metrics.eventsProcessed.withdrawals += requestEvents.length + processedEvents.length;
+    metrics.eventsProcessed.usernames += values.length;
     
-    // Only log results if we found events or in development mode
-    const hasEvents = requestEvents.length > 0 || processedEvents.length > 0;
-    logger.infoIf(IS_DEV || hasEvents, `Indexed ${requestEvents.length} withdrawal requests, ${processedEvents.length} processed withdrawals`);
+    logger.infoIf(IS_DEV || values.length > 0, `Indexed ${values.length} username changes on ${network}`);
     
+    return values.length;
   } catch (error) {
-    await db.query('ROLLBACK');
-    metrics.dbOperations++;
     metrics.errors++;
     
-    logger.error(`Error indexing ${network} withdrawals`, {
+    logger.error(`Error indexing ${network} username changes`, {
       error: error.message,
       stack: error.stack,
       fromBlock,
@@ -801,32 +866,138 @@ async function indexWithdrawalEvents(network, fromBlock, toBlock) {
   }
 }
 
-// Process a chunk of blocks
-async function indexNetworkChunk(network, fromBlock, toBlock) {
+// Match remote donations with the main-chain DonationMade that delivered them
+async function matchCrossChainDonations() {
+  const mainNetwork = Object.keys(NETWORKS).find(key => NETWORKS[key].isMain);
+  
+  const pending = await db.query(
+    `SELECT id, campaign_id, donor, amount, created_at
+     FROM cross_chain_donations
+     WHERE main_donation_id IS NULL AND relay_status IN ('pending', 'relayed')
+     ORDER BY created_at, id
+     LIMIT 500`
+  );
+  metrics.dbOperations++;
+  
+  let matched = 0;
+  
+  for (const crossChainDonation of pending.rows) {
+    // Oldest main-chain donation with the same campaign, donor and amount not yet claimed,
+    // made no earlier than the remote donation (an older one is a direct donation)
+    const result = await db.query(
+      `UPDATE cross_chain_donations x SET
+        relay_status = 'delivered',
+        main_donation_id = d.id,
+        main_tx_hash = d.tx_hash,
+        delivered_at = d.timestamp
+      FROM (
+        SELECT id, tx_hash, timestamp FROM donations
+        WHERE chain = $1 AND campaign_id = $2 AND LOWER(donor) = LOWER($3) AND amount = $4
+          AND timestamp >= $6
+          AND NOT EXISTS (
+            SELECT 1 FROM cross_chain_donations c WHERE c.main_donation_id = donations.id
+          )
+        ORDER BY timestamp, id
+        LIMIT 1
+      ) d
+      WHERE x.id = $5`,
+      [
+        mainNetwork,
+        crossChainDonation.campaign_id,
+        crossChainDonation.donor,
+        crossChainDonation.amount,
+        crossChainDonation.id,
+        crossChainDonation.created_at
+      ]
+    );
+    metrics.dbOperations++;
+    matched += result.rowCount;
+  }
+  
+  logger.infoIf(matched > 0, `Matched ${matched} cross-chain donations to main-chain donations`);
+  
+  return matched;
+}
+
+// Process a chunk of blocks.
+// Ranges behind the cursor (backfills) pass advanceCursor: false and track progress
+// through onChunkIndexed, which runs inside the chunk's transaction. Chunks that advance
+// the cursor store the hashes of blocks above options.finalizedBlock for reorg detection.
+// options.client runs the chunk inside the caller's transaction instead of its own (reindexing).
+// Every entry logged while the chunk is indexed carries the chunk's correlation id.
+async function indexNetworkChunk(network, fromBlock, toBlock, options = {}) {
+  const context = { correlationId: newCorrelationId(), network, blocks: `${fromBlock}-${toBlock}` };
+  return withLogContext(context, () => processNetworkChunk(network, fromBlock, toBlock, options));
+}
+
+async function processNetworkChunk(network, fromBlock, toBlock, options = {}) {
+  const advanceCursor = options.advanceCursor !== false;
+  const inTransaction = options.client ?
+    fn => fn(options.client) :
+    fn => db.withTransaction(fn);
+  
   logger.infoIf(IS_DEV, `Processing chunk for ${network} from block ${fromBlock} to ${toBlock}`);
   
   try {
     // Start timer for performance metrics
     const startTime = Date.now();
     
-    // Index campaign events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexCampaignEvents(network, fromBlock, toBlock);
-    }
-    
-    // Index donation events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexDonationEvents(network, fromBlock, toBlock);
-    }
+    // Fetch the headers of blocks that can still be reorged so their hashes are stored
+    // together with the chunk
+    const headers = advanceCursor ?
+      await fetchUnfinalizedHeaders(network, fromBlock, toBlock, options.finalizedBlock) :
+      [];
     
-    // Index withdrawal events (only for main chain)
-    if (NETWORKS[network].isMain) {
-      await indexWithdrawalEvents(network, fromBlock, toBlock);
-    }
+    // Every event type and the cursor advance commit or roll back as one unit
+    const counts = await inTransaction(async (client) => {
+      // Index every contract event of the chunk from a single log query
+      const eventCounts = await indexChunkEvents(network, fromBlock, toBlock, client);
+      
+      // Index username changes (only for main chain)
+      if (NETWORKS[network].isMain) {
+        eventCounts.setUsername = await indexUsernameChanges(network, fromBlock, toBlock, client);
+      }
+      
+      // Record the hashes so later batches can detect reorgs and find where they start
+      if (headers.length > 0) {
+        await recordBlockHashes(network, headers.map(block => ({
+          number: block.number,
+          hash: block.hash,
+          parentHash: block.parentHash
+        })), client);
+        metrics.dbOperations++;
+      }
+      
+      // Update last indexed block
+      if (advanceCursor) {
+        await client.query(
+          `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
+           VALUES ($1, $2, NOW())
+           ON CONFLICT (chain) DO UPDATE SET
+             last_indexed_block = $2,
+             updated_at = NOW()`,
+          [network, toBlock]
+        );
+        metrics.dbOperations++;
+      }
+      
+      if (options.onChunkIndexed) {
+        await options.onChunkIndexed(client, toBlock);
+        metrics.dbOperations++;
+      }
+      
+      return eventCounts;
+    });
     
     // Calculate processing time
     const processingTime = Date.now() - startTime;
     metrics.processingTimeMs += processingTime;
+    chunkDuration.observe({ network }, processingTime / 1000);
+    for (const [event, count] of Object.entries(counts)) {
+      if (count > 0) {
+        eventsCounter.inc({ network, event }, count);
+      }
+    }
     
     // Only log completion details if in dev mode
     logger.infoIf(IS_DEV, `Completed chunk processing for ${network}`, {
@@ -847,76 +1018,74 @@ async function indexNetworkChunk(network, fromBlock, toBlock) {
   }
 }
 
-// Main indexing function with block range chunking
-async function indexNetwork(network, fromBlock, toBlock) {
+// Main indexing function with block range chunking.
+// options.shouldStop is checked between chunks so a shutdown never interrupts one;
+// options.finalizedBlock is passed on to every chunk.
+async function indexNetwork(network, fromBlock, toBlock, options = {}) {
+  const shouldStop = options.shouldStop || (() => false);
+  
   logger.infoIf(IS_DEV, `Starting indexing for ${network} from block ${fromBlock} to ${toBlock}`);
   
   try {
     // Reset metrics for this run
-    metrics.eventsProcessed = { campaigns: 0, donations: 0, withdrawals: 0 };
+    metrics.eventsProcessed = { campaigns: 0, donations: 0, withdrawals: 0, crossChain: 0, protocol: 0, usernames: 0 };
     metrics.dbOperations = 0;
     metrics.errors = 0;
+    metrics.reorgs = 0;
     metrics.processingTimeMs = 0;
     
-    // Process in chunks if range is too large
-    if (toBlock - fromBlock > MAX_BLOCK_RANGE) {
-      logger.infoIf(IS_DEV, `Large block range detected, breaking into chunks of ${MAX_BLOCK_RANGE} blocks`);
-      
-      const chunks = [];
-      for (let i = fromBlock; i < toBlock; i += MAX_BLOCK_RANGE) {
-        chunks.push([i, Math.min(i + MAX_BLOCK_RANGE - 1, toBlock)]);
-      }
-      
-      logger.infoIf(IS_DEV, `Created ${chunks.length} chunks for processing`);
-      
-      let lastProcessedBlock = fromBlock;
-      for (const [chunkFrom, chunkTo] of chunks) {
-        lastProcessedBlock = await indexNetworkChunk(network, chunkFrom, chunkTo);
+    // Walk the range in chunks sized to what the RPC endpoints accept. A chunk
+    // rejected for its size rolls back and is retried at the endpoint's halved limit,
+    // as long as that limit is smaller than the rejected chunk.
+    let lastProcessedBlock = fromBlock - 1;
+    while (lastProcessedBlock < toBlock) {
+      if (shouldStop()) {
+        logger.info(`Stopping ${network} indexing after block ${lastProcessedBlock}`);
+        break;
       }
       
-      // Update last indexed block
-      await db.query(
-        `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
-         VALUES ($1, $2, NOW())
-         ON CONFLICT (chain) DO UPDATE SET
-           last_indexed_block = $2,
-           updated_at = NOW()`,
-        [network, lastProcessedBlock]
-      );
-      
-      // Only log completion details if in dev mode or we found events
-      const foundEvents = 
-        metrics.eventsProcessed.campaigns > 0 || 
-        metrics.eventsProcessed.donations > 0 || 
-        metrics.eventsProcessed.withdrawals > 0;
-      
-      logger.infoIf(IS_DEV || foundEvents, `Completed chunked indexing for ${network}`, { metrics });
-      
-      return lastProcessedBlock;
-    } else {
-      // For smaller ranges, process directly
-      const processedBlock = await indexNetworkChunk(network, fromBlock, toBlock);
-      
-      // Update last indexed block
-      await db.query(
-        `INSERT INTO indexer_state (chain, last_indexed_block, updated_at)
-         VALUES ($1, $2, NOW())
-         ON CONFLICT (chain) DO UPDATE SET
-           last_indexed_block = $2,
-           updated_at = NOW()`,
-        [network, processedBlock]
+      // Make sure each chunk still builds on what was indexed last, otherwise roll back
+      // (a reorg can also happen while a multi-chunk run is in progress)
+      const ancestorBlock = await detectReorg(
+        network,
+        blockNumber => fetchBlock(network, blockNumber),
+        lastProcessedBlock + 1,
+        NETWORKS[network].confirmations
       );
       
-      // Only log completion details if in dev mode or we found events
-      const foundEvents = 
-        metrics.eventsProcessed.campaigns > 0 || 
-        metrics.eventsProcessed.donations > 0 || 
-        metrics.eventsProcessed.withdrawals > 0;
+      if (ancestorBlock !== null) {
+        await rollbackToBlock(network, ancestorBlock, (client, campaignIds) =>
+          restoreCampaignDetails(client, network, campaignIds, ancestorBlock)
+        );
+        metrics.reorgs++;
+        
+        logger.warn(`Re-indexing ${network} from common ancestor ${ancestorBlock}`, {
+          orphanedFrom: ancestorBlock + 1,
+          originalFromBlock: fromBlock
+        });
+        lastProcessedBlock = ancestorBlock;
+        continue;
+      }
       
-      logger.infoIf(IS_DEV || foundEvents, `Completed indexing for ${network}`, { metrics });
+      const chunkFrom = lastProcessedBlock + 1;
+      const chunkTo = Math.min(chunkFrom + getLogRange(network) - 1, toBlock);
       
-      return processedBlock;
+      try {
+        lastProcessedBlock = await indexNetworkChunk(network, chunkFrom, chunkTo, { finalizedBlock: options.finalizedBlock });
+      } catch (error) {
+        if (!canRetrySmaller(network, error, chunkTo - chunkFrom + 1)) {
+          throw error;
+        }
+        logger.warn(`Retrying ${network} from block ${chunkFrom} with a ${getLogRange(network)} block range`);
+      }
     }
+    
+    // Only log completion details if in dev mode or we found events
+    const foundEvents = Object.values(metrics.eventsProcessed).some(count => count > 0);
+    
+    logger.infoIf(IS_DEV || foundEvents, `Completed indexing for ${network}`, { metrics });
+    
+    return lastProcessedBlock;
   } catch (error) {
     logger.error(`Failed to index ${network}`, {
       error: error.message,
@@ -949,6 +1118,19 @@ function initialize() {
 module.exports = {
   initialize,
   indexNetwork,
+  indexNetworkChunk,
+  matchCrossChainDonations,
+  getChainHead,
+  preparePool,
+  withRetry,
+  getRpcStatus,
+  getLogRange,
+  canRetrySmaller,
+  readContract,
+  restoreCampaignDetails,
+  getFinalizedBlock,
+  findDeployBlock,
+  confirmBlocks,
   getMetrics,
   providers,
   contracts,
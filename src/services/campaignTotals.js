@@ -0,0 +1,161 @@
+// src/services/campaignTotals.js
+const db = require('../db');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('campaign-totals');
+
+// Whether the donations ledger covers campaign c's full history: its chain was indexed
+// from a known start block at or before the campaign's creation, with no open backfill after it
+const LEDGER_COVERED = `(
+  EXISTS (
+    SELECT 1 FROM indexer_state s
+    WHERE s.chain = c.chain AND s.start_block IS NOT NULL AND c.block_number >= s.start_block
+  ) AND NOT EXISTS (
+    SELECT 1 FROM backfill_ranges b
+    WHERE b.chain = c.chain AND b.status <> 'completed' AND b.to_block >= c.block_number
+  )
+)`;
+
+// Totals of each campaign as computed from the donations ledger. unledgered_amount is
+// the part of the campaign's pre-index amount that ledger donations up to its pre-index
+// block do not account for yet; backfilled history counts against it instead of on top.
+const LEDGER_TOTALS = `
+  SELECT c.id,
+    COALESCE(SUM(d.amount), 0) AS amount_raised,
+    COUNT(d.id)::int AS donation_count,
+    COUNT(DISTINCT LOWER(d.donor))::int AS donor_count,
+    GREATEST(COALESCE(c.pre_index_amount, 0) - COALESCE(SUM(d.amount) FILTER (
+      WHERE c.pre_index_block IS NULL OR d.block_number IS NULL OR d.block_number <= c.pre_index_block
+    ), 0), 0) AS unledgered_amount
+  FROM campaigns c
+  LEFT JOIN donations d ON d.campaign_id = c.id`;
+
+/**
+ * Recompute the stored totals (amount raised, donation and donor count) of campaigns
+ * from their donations. Called wherever donations are added or removed, inside the
+ * same transaction, so the aggregate never drifts from the ledger. The amount raised
+ * adds the campaign's unledgered amount (donations from before the indexed history
+ * that no backfill has brought into the ledger yet).
+ * @param {Object} client - Database client of the surrounding transaction
+ * @param {Array<string>} campaignIds - Campaigns whose donations changed
+ * @returns {number} - Campaigns whose totals changed
+ */
+async function refreshCampaignTotals(client, campaignIds) {
+  const ids = [...new Set(campaignIds)].filter(Boolean);
+  if (ids.length === 0) return 0;
+
+  const result = await client.query(
+    `UPDATE campaigns c SET
+      amount_raised = t.amount_raised + t.unledgered_amount,
+      unledgered_amount = t.unledgered_amount,
+      donation_count = t.donation_count,
+      donor_count = t.donor_count,
+      updated_at = NOW()
+    FROM (${LEDGER_TOTALS} WHERE c.id = ANY($1) GROUP BY c.id) t
+    WHERE c.id = t.id
+      AND (c.amount_raised, c.unledgered_amount, c.donation_count, c.donor_count)
+        IS DISTINCT FROM (t.amount_raised + t.unledgered_amount, t.unledgered_amount, t.donation_count, t.donor_count)`,
+    [ids]
+  );
+
+  return result.rowCount;
+}
+
+/**
+ * Compare every campaign's stored totals with its donations ledger, and report the
+ * campaigns whose amount raised includes donations from before the indexed history
+ * (those cannot be checked against the ledger)
+ * @param {Object} options - fix to recompute the totals of campaigns that disagree, and to
+ *   drop the pre-index amount of campaigns whose ledger has since been completed (backfill)
+ * @returns {Object} - { total, mismatches: [{ campaignId, stored, ledger }],
+ *   partial: [{ campaignId, unledgeredAmount, covered }], fixed }
+ */
+async function verifyCampaignTotals(options = {}) {
+  const total = await db.query('SELECT COUNT(*) FROM campaigns');
+  const result = await db.query(
+    `SELECT c.id, c.amount_raised, c.donation_count, c.donor_count, c.unledgered_amount,
+      t.amount_raised + t.unledgered_amount AS ledger_amount_raised,
+      t.unledgered_amount AS ledger_unledgered_amount,
+      t.donation_count AS ledger_donation_count,
+      t.donor_count AS ledger_donor_count
+    FROM campaigns c
+    JOIN (${LEDGER_TOTALS} GROUP BY c.id) t ON t.id = c.id
+    WHERE (c.amount_raised, c.unledgered_amount, c.donation_count, c.donor_count)
+      IS DISTINCT FROM (t.amount_raised + t.unledgered_amount, t.unledgered_amount, t.donation_count, t.donor_count)
+    ORDER BY c.id`
+  );
+  const partialResult = await db.query(
+    `SELECT t.id, t.unledgered_amount, ${LEDGER_COVERED} AS covered
+    FROM campaigns c
+    JOIN (${LEDGER_TOTALS} GROUP BY c.id) t ON t.id = c.id
+    WHERE t.unledgered_amount <> 0
+    ORDER BY c.id`
+  );
+
+  const mismatches = result.rows.map(row => ({
+    campaignId: row.id,
+    stored: {
+      amountRaised: row.amount_raised,
+      unledgeredAmount: row.unledgered_amount,
+      donationCount: row.donation_count,
+      donorCount: row.donor_count
+    },
+    ledger: {
+      amountRaised: row.ledger_amount_raised,
+      unledgeredAmount: row.ledger_unledgered_amount,
+      donationCount: row.ledger_donation_count,
+      donorCount: row.ledger_donor_count
+    }
+  }));
+
+  const partial = partialResult.rows.map(row => ({
+    campaignId: row.id,
+    unledgeredAmount: row.unledgered_amount,
+    covered: row.covered
+  }));
+
+  if (partial.length > 0) {
+    logger.warn(`${partial.length} campaigns include donations from before the indexed history in their amount raised`, {
+      campaignIds: partial.map(entry => entry.campaignId)
+    });
+  }
+
+  let fixed = 0;
+
+  if (mismatches.length > 0) {
+    logger.warn(`${mismatches.length} of ${total.rows[0].count} campaigns have totals that disagree with the donations ledger`, {
+      campaignIds: mismatches.map(mismatch => mismatch.campaignId)
+    });
+  }
+
+  if (options.fix) {
+    // Campaigns whose ledger now covers their full history no longer need the pre-index amount
+    const completed = partial.filter(entry => entry.covered).map(entry => entry.campaignId);
+    const ids = [...mismatches.map(mismatch => mismatch.campaignId), ...completed];
+
+    if (ids.length > 0) {
+      fixed = await db.withTransaction(async (client) => {
+        if (completed.length > 0) {
+          await client.query(
+            'UPDATE campaigns SET pre_index_amount = NULL, pre_index_block = NULL WHERE id = ANY($1)',
+            [completed]
+          );
+        }
+        return refreshCampaignTotals(client, ids);
+      });
+      logger.info(`Recomputed totals of ${fixed} campaigns from the donations ledger`);
+    }
+  }
+
+  return {
+    total: parseInt(total.rows[0].count),
+    mismatches,
+    partial,
+    fixed
+  };
+}
+
+module.exports = {
+  refreshCampaignTotals,
+  verifyCampaignTotals
+};
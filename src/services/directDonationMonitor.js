@@ -1,30 +1,12 @@
 // src/services/directDonationMonitor.js
 const ethers = require('ethers');
 const db = require('../db');
-const { providers, contracts, NETWORKS } = require('./blockchain');
-const { createLogger, format, transports } = require('winston');
+const { providers, contracts, NETWORKS, preparePool, withRetry } = require('./blockchain');
+const { createCounter, createGauge } = require('./metrics');
+const { createLogger } = require('./logger');
+const alerts = require('./alerts');
 
-// Logger configuration
-const logger = createLogger({
-  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
-  format: format.combine(
-    format.timestamp(),
-    format.errors({ stack: true }),
-    format.json()
-  ),
-  defaultMeta: { service: 'direct-donation-monitor' },
-  transports: [
-    new transports.Console({
-      format: format.combine(
-        format.colorize(),
-        format.printf(({ level, message, timestamp }) => {
-          return `${timestamp} [direct-donation-monitor] ${level}: ${message}`;
-        })
-      )
-    }),
-    new transports.File({ filename: 'logs/direct-donations.log' })
-  ]
-});
+const logger = createLogger('direct-donation-monitor');
 
 // Configuration
 const CONFIG = {
@@ -36,27 +18,53 @@ const CONFIG = {
   GAS_PRICE_BOOST: 120      // 20% boost for gas price 
 };
 
+// Prometheus metrics
+const checkCycles = createCounter('fundit_monitor_check_cycles_total', 'Wallet check cycles run, by result', ['result']);
+const walletsChecked = createGauge('fundit_monitor_wallets', 'Campaign wallets checked in the last cycle');
+const walletErrors = createCounter('fundit_monitor_wallet_errors_total', 'Wallets whose processing threw');
+const donationsCreated = createCounter('fundit_monitor_donations_created_total', 'Direct donations created from wallet balances');
+const transactionsSent = createCounter('fundit_monitor_transactions_sent_total', 'Donation transactions sent to the contract');
+const transactionsReplaced = createCounter('fundit_monitor_transactions_replaced_total', 'Stuck donation transactions replaced, by result', ['result']);
+const donationsFinished = createCounter('fundit_monitor_donations_finished_total', 'Direct donations that reached a final status', ['status']);
+
+// Network donations are sent on, set when the monitor starts
+let mainChain = null;
+
+// Reads go through the main chain's RPC pool with retries on the next best endpoint
+function readChain(name, fn) {
+  return withRetry(mainChain, `monitor-${name}`, fn);
+}
+
+// Transactions are sent once, through the pool's healthiest verified endpoint at the time
+async function getSender(privateKey) {
+  await preparePool(mainChain);
+  const signer = new ethers.Wallet(privateKey, providers[mainChain]);
+  return { signer, contract: contracts[mainChain].connect(signer) };
+}
+
 // Main function to start monitoring
 async function monitorDirectDonations() {
   logger.info('Starting direct donation monitor');
   
   try {
     // Find the main chain
-    const mainChain = Object.keys(NETWORKS).find(network => NETWORKS[network].isMain);
-    if (!mainChain || !providers[mainChain] || !contracts[mainChain]) {
+    const network = Object.keys(NETWORKS).find(key => NETWORKS[key].isMain);
+    if (!network || !(network in providers)) {
       throw new Error('Main chain provider or contract not available');
     }
+    // Endpoints are verified on each operation, so an RPC outage at startup does not stop the monitor
+    mainChain = network;
     
-    const provider = providers[mainChain];
-    const mainContract = contracts[mainChain];
+    const deployments = NETWORKS[mainChain].deployments;
+    const deploymentId = deployments[deployments.length - 1].id;
     
-    logger.info(`Using ${mainChain} as the main chain for donations`);
+    logger.info(`Using ${mainChain} (deployment ${deploymentId}) as the main chain for donations`);
     
     // Start the monitoring loop
-    setInterval(() => checkWalletsAndProcess(provider, mainContract), CONFIG.CHECK_INTERVAL_MS);
+    setInterval(() => checkWalletsAndProcess(deploymentId), CONFIG.CHECK_INTERVAL_MS);
     
     // Initial check
-    checkWalletsAndProcess(provider, mainContract);
+    checkWalletsAndProcess(deploymentId);
     
     return true;
   } catch (error) {
@@ -66,21 +74,28 @@ async function monitorDirectDonations() {
 }
 
 // Main monitoring loop
-async function checkWalletsAndProcess(provider, mainContract) {
+async function checkWalletsAndProcess(deploymentId) {
   try {
     logger.debug('Starting wallet check cycle');
     
-    // Get all campaign wallets
+    // Get the wallets of campaigns on the active contract deployment, with the
+    // campaign id that contract knows them by
     const wallets = await db.query(`
       SELECT 
-        campaign_id, 
-        wallet_address, 
-        private_key
-      FROM campaign_wallets
-    `);
+        cw.campaign_id, 
+        c.onchain_id,
+        cw.wallet_address, 
+        cw.private_key
+      FROM campaign_wallets cw
+      JOIN campaigns c ON c.id = cw.campaign_id
+      WHERE c.deployment_id = $1
+    `, [deploymentId]);
+    
+    walletsChecked.set({}, wallets.rows.length);
     
     if (wallets.rows.length === 0) {
       logger.debug('No campaign wallets found');
+      checkCycles.inc({ result: 'success' });
       return;
     }
     
@@ -89,20 +104,23 @@ async function checkWalletsAndProcess(provider, mainContract) {
     // Process each wallet
     for (const wallet of wallets.rows) {
       try {
-        await processWallet(wallet, provider, mainContract);
+        await processWallet(wallet);
       } catch (error) {
+        walletErrors.inc();
         logger.error(`Error processing wallet ${wallet.wallet_address}:`, error);
       }
     }
     
+    checkCycles.inc({ result: 'success' });
     logger.debug('Wallet check cycle completed');
   } catch (error) {
+    checkCycles.inc({ result: 'error' });
     logger.error('Error in check and process cycle:', error);
   }
 }
 
 // Process a single wallet
-async function processWallet(wallet, provider, mainContract) {
+async function processWallet(wallet) {
   // Check for pending donations
   const pendingDonation = await db.query(`
     SELECT 
@@ -117,25 +135,25 @@ async function processWallet(wallet, provider, mainContract) {
   // If there's a pending donation, check its status
   if (pendingDonation.rows.length > 0) {
     const donation = pendingDonation.rows[0];
-    return await handlePendingDonation(donation, wallet, provider, mainContract);
+    return await handlePendingDonation(donation, wallet);
   }
   
   // No pending donations, check balance and create new donation if needed
-  return await checkBalanceAndCreateDonation(wallet, provider, mainContract);
+  return await checkBalanceAndCreateDonation(wallet);
 }
 
 // Handle pending donation
-async function handlePendingDonation(donation, wallet, provider, mainContract) {
+async function handlePendingDonation(donation, wallet) {
   const txHash = donation.contract_tx_hash;
   
   // If no transaction hash yet, it's a new pending donation waiting for processing
   if (!txHash) {
-    return await sendDonationTransaction(donation.id, wallet, provider, mainContract);
+    return await sendDonationTransaction(donation.id, wallet);
   }
   
   // Check transaction status
   try {
-    const receipt = await provider.getTransactionReceipt(txHash);
+    const receipt = await readChain('getTransactionReceipt', provider => provider.getTransactionReceipt(txHash));
     
     // Transaction confirmed
     if (receipt) {
@@ -147,6 +165,18 @@ async function handlePendingDonation(donation, wallet, provider, mainContract) {
         `UPDATE direct_donations SET status = $1, processed_at = NOW() WHERE id = $2`,
         [newStatus, donation.id]
       );
+      donationsFinished.inc({ status: newStatus });
+      
+      if (newStatus === 'failed') {
+        await alerts.donationFailed({
+          donationId: donation.id,
+          campaignId: wallet.campaign_id,
+          txHash,
+          reason: `Transaction ${txHash} reverted`
+        });
+      } else {
+        await alerts.donationCompleted(donation.id);
+      }
       return;
     }
     
@@ -160,16 +190,22 @@ async function handlePendingDonation(donation, wallet, provider, mainContract) {
     // If we've checked too many times, try to replace the transaction
     if (newCheckCount >= CONFIG.MAX_PENDING_CHECKS) {
       logger.warn(`Transaction ${txHash.substring(0, 10)}... stuck, attempting replacement`);
+      await alerts.donationStuck({
+        donationId: donation.id,
+        campaignId: wallet.campaign_id,
+        txHash,
+        checks: newCheckCount
+      });
       
       // If we stored the nonce in the database, use it
       if (donation.tx_nonce !== null && donation.tx_nonce !== undefined) {
-        await replaceStuckTransaction(donation.id, txHash, wallet, provider, donation.tx_nonce);
+        await replaceStuckTransaction(donation.id, txHash, wallet, donation.tx_nonce);
       } else {
         // Otherwise, try to get the nonce from the transaction
         try {
-          const tx = await provider.getTransaction(txHash);
+          const tx = await readChain('getTransaction', provider => provider.getTransaction(txHash));
           if (tx && tx.nonce !== undefined) {
-            await replaceStuckTransaction(donation.id, txHash, wallet, provider, tx.nonce);
+            await replaceStuckTransaction(donation.id, txHash, wallet, tx.nonce);
           } else {
             logger.error(`Could not retrieve nonce for transaction ${txHash}`);
           }
@@ -184,10 +220,10 @@ async function handlePendingDonation(donation, wallet, provider, mainContract) {
 }
 
 // Replace a stuck transaction
-async function replaceStuckTransaction(donationId, oldTxHash, wallet, provider, nonce) {
+async function replaceStuckTransaction(donationId, oldTxHash, wallet, nonce) {
   try {
     // Get current gas prices
-    const feeData = await provider.getFeeData();
+    const feeData = await readChain('getFeeData', provider => provider.getFeeData());
     
     // Calculate higher gas price (boost by 50% for replacement transactions)
     const boostFactor = 150; // 50% boost, higher than regular transactions
@@ -199,7 +235,7 @@ async function replaceStuckTransaction(donationId, oldTxHash, wallet, provider,
       feeData.gasPrice / 2n) * BigInt(boostFactor) / BigInt(100);
     
     // Create wallet instance
-    const signer = new ethers.Wallet(wallet.private_key, provider);
+    const { signer } = await getSender(wallet.private_key);
     
     // Send replacement transaction (zero value to self)
     const replacementTx = await signer.sendTransaction({
@@ -212,6 +248,7 @@ async function replaceStuckTransaction(donationId, oldTxHash, wallet, provider,
     });
     
     logger.info(`Sent replacement transaction: ${replacementTx.hash} with nonce ${nonce}`);
+    transactionsReplaced.inc({ result: 'sent' });
     
     // Update donation record
     await db.query(
@@ -219,15 +256,16 @@ async function replaceStuckTransaction(donationId, oldTxHash, wallet, provider,
       [replacementTx.hash, donationId]
     );
   } catch (error) {
+    transactionsReplaced.inc({ result: 'error' });
     logger.error(`Error replacing stuck transaction:`, error);
   }
 }
 
 // Check wallet balance and create donation if needed
-async function checkBalanceAndCreateDonation(wallet, provider, mainContract) {
+async function checkBalanceAndCreateDonation(wallet) {
   try {
     // Get current balance
-    const balance = await provider.getBalance(wallet.wallet_address);
+    const balance = await readChain('getBalance', provider => provider.getBalance(wallet.wallet_address));
     const balanceInMatic = Number(ethers.formatEther(balance));
     
     logger.debug(`Wallet ${wallet.wallet_address} has balance: ${balanceInMatic} MATIC`);
@@ -257,20 +295,21 @@ async function checkBalanceAndCreateDonation(wallet, provider, mainContract) {
     ]);
     
     const donationId = result.rows[0].id;
+    donationsCreated.inc();
     logger.info(`Created new donation record with ID: ${donationId}`);
     
     // Immediately process the donation
-    await sendDonationTransaction(donationId, wallet, provider, mainContract);
+    await sendDonationTransaction(donationId, wallet);
   } catch (error) {
     logger.error(`Error checking balance for wallet ${wallet.wallet_address}:`, error);
   }
 }
 
 // Send donation transaction to contract
-async function sendDonationTransaction(donationId, wallet, provider, mainContract) {
+async function sendDonationTransaction(donationId, wallet) {
   try {
     // Get current wallet balance
-    const balance = await provider.getBalance(wallet.wallet_address);
+    const balance = await readChain('getBalance', provider => provider.getBalance(wallet.wallet_address));
     
     // Skip if balance is too low
     if (balance < ethers.parseEther("0.1")) {
@@ -278,11 +317,8 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
       return;
     }
     
-    // Create wallet instance
-    const signer = new ethers.Wallet(wallet.private_key, provider);
-    
     // First, get current gas prices and estimate
-    const feeData = await provider.getFeeData();
+    const feeData = await readChain('getFeeData', provider => provider.getFeeData());
     
     // Use 20% higher gas price for faster confirmation
     const maxFeePerGas = (feeData.maxFeePerGas || feeData.gasPrice) * 
@@ -293,11 +329,13 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
     
     // Estimate gas with small test amount to avoid estimation failures
     const testAmount = ethers.parseEther("0.1");
-    const gasEstimate = await mainContract.connect(signer).donate.estimateGas(
-      wallet.campaign_id,
-      ethers.ZeroAddress, // token address (zero for native token)
-      0, // token amount (0 when using native token)
-      { value: testAmount }
+    const gasEstimate = await readChain('estimateGas-donate', (provider, contract) =>
+      contract.connect(new ethers.Wallet(wallet.private_key, provider)).donate.estimateGas(
+        wallet.onchain_id,
+        ethers.ZeroAddress, // token address (zero for native token)
+        0, // token amount (0 when using native token)
+        { value: testAmount }
+      )
     );
     
     // Add 30% buffer to gas limit for safety
@@ -324,17 +362,24 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
         `UPDATE direct_donations SET status = 'failed', processed_at = NOW() WHERE id = $1`,
         [donationId]
       );
+      donationsFinished.inc({ status: 'failed' });
+      await alerts.donationFailed({
+        donationId,
+        campaignId: wallet.campaign_id,
+        reason: 'Wallet balance does not cover the gas reserve'
+      });
       return;
     }
     
     logger.info(`Sending donation ${donationId}: ${ethers.formatEther(donationAmount)} MATIC to campaign ${wallet.campaign_id}`);
     
     // Get the nonce for this transaction
-    const nonce = await signer.getNonce();
+    const nonce = await readChain('getNonce', provider => provider.getTransactionCount(wallet.wallet_address, 'pending'));
     
     // Send the transaction
-    const tx = await mainContract.connect(signer).donate(
-      wallet.campaign_id,
+    const { contract } = await getSender(wallet.private_key);
+    const tx = await contract.donate(
+      wallet.onchain_id,
       ethers.ZeroAddress,
       0,
       {
@@ -347,6 +392,7 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
     );
     
     logger.info(`Donation ${donationId} transaction sent: ${tx.hash} with nonce ${nonce}`);
+    transactionsSent.inc();
     
     // Update donation record with transaction hash and nonce
     await db.query(
@@ -361,6 +407,12 @@ async function sendDonationTransaction(donationId, wallet, provider, mainContrac
       `UPDATE direct_donations SET status = 'failed', processed_at = NOW() WHERE id = $1`,
       [donationId]
     );
+    donationsFinished.inc({ status: 'failed' });
+    await alerts.donationFailed({
+      donationId,
+      campaignId: wallet.campaign_id,
+      reason: `Donation transaction could not be sent: ${error.shortMessage || error.message}`
+    });
   }
 }
 
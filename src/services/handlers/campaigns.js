@@ -0,0 +1,215 @@
+// src/services/handlers/campaigns.js
+const { formatStable, campaignKey, claimLegacyRow, recordTransaction } = require('./common');
+
+// On-chain data of a campaign as of an event's block
+function campaignDataKey(campaignId, blockNumber) {
+  return `${campaignId}@${blockNumber}`;
+}
+
+// Read on-chain campaign data for the chunk's created/edited events, one multicall per
+// deployment and block, so each event sees the campaign as it was when the event was
+// emitted rather than after later edits
+async function loadCampaignData(ctx, events) {
+  const campaignData = new Map();
+  const reads = new Map();
+
+  for (const event of events) {
+    const readKey = `${event.deployment.id}@${event.blockNumber}`;
+    if (!reads.has(readKey)) {
+      reads.set(readKey, { deployment: event.deployment, blockNumber: event.blockNumber, campaigns: new Map() });
+    }
+    reads.get(readKey).campaigns.set(campaignKey(event, event.args.campaignId), event.args.campaignId.toString());
+  }
+
+  for (const { deployment, blockNumber, campaigns } of reads.values()) {
+    const keys = [...campaigns.keys()];
+    const { results } = await ctx.readContract('campaigns', keys.map(key => [campaigns.get(key)]), {
+      deployment,
+      blockTag: blockNumber
+    });
+
+    keys.forEach((key, index) => {
+      if (results[index].success) {
+        campaignData.set(campaignDataKey(key, blockNumber), results[index].value);
+      } else {
+        ctx.logger.warn(`Failed to read campaign ${key} at block ${blockNumber} on ${ctx.network}`, { error: results[index].error });
+      }
+    });
+  }
+
+  ctx.state.campaignData = campaignData;
+}
+
+// Write a campaign's editable details read at an event's block, unless they already come
+// from a later event (a backfill or reindex replaying an older range).
+// Returns whether the details were written.
+async function applyCampaignDetails(ctx, campaignId, campaign, event) {
+  const result = await ctx.client.query(
+    `UPDATE campaigns SET
+      name = $1,
+      description = $2,
+      target_amount = $3,
+      social_link = $4,
+      image_id = $5,
+      details_block_number = $7,
+      details_log_index = $8,
+      updated_at = NOW()
+    WHERE id = $6
+      AND (COALESCE(details_block_number, -1), COALESCE(details_log_index, -1)) <= ($7::bigint, $8::integer)`,
+    [
+      campaign.name,
+      campaign.description,
+      formatStable(campaign.target),
+      campaign.socialLink,
+      campaign.imageId.toString(),
+      campaignId,
+      event.blockNumber,
+      event.index
+    ]
+  );
+
+  return result.rowCount > 0;
+}
+
+// Campaign created: insert the campaign from its on-chain data. Totals start empty and
+// follow the donations ledger; a replay (reorg or reindex) of a campaign that was kept
+// refreshes its creation fields, and its details only if no later edit was applied.
+async function handleCampaignCreated(ctx, event) {
+  const campaignId = campaignKey(event, event.args.campaignId);
+  const campaign = ctx.state.campaignData.get(campaignDataKey(campaignId, event.blockNumber));
+
+  if (!campaign) {
+    ctx.logger.warn(`Campaign data not found for ID ${campaignId}`);
+    return;
+  }
+
+  await ctx.client.query(
+    `INSERT INTO campaigns (
+      id, name, description, target_amount, social_link, image_id,
+      creator, ended, chain, tx_hash, block_number, log_index,
+      created_at, deployment_id, onchain_id, details_block_number, details_log_index
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, to_timestamp($13), $14, $15, $11, $12)
+    ON CONFLICT (id) DO UPDATE SET
+      creator = EXCLUDED.creator,
+      tx_hash = EXCLUDED.tx_hash,
+      block_number = EXCLUDED.block_number,
+      log_index = EXCLUDED.log_index,
+      created_at = EXCLUDED.created_at,
+      updated_at = NOW()`,
+    [
+      campaignId,
+      campaign.name,
+      campaign.description,
+      formatStable(campaign.target),
+      campaign.socialLink,
+      campaign.imageId.toString(),
+      campaign.creator,
+      campaign.ended,
+      ctx.network,
+      event.transactionHash,
+      event.blockNumber,
+      event.index,
+      ctx.timestamp(event),
+      event.deployment.id,
+      event.args.campaignId.toString()
+    ]
+  );
+
+  await applyCampaignDetails(ctx, campaignId, campaign, event);
+
+  await recordTransaction(ctx, event, {
+    type: 'Campaign Created',
+    userAddress: event.args.creator,
+    campaignId
+  });
+}
+
+// Campaign edited: refresh the editable fields from on-chain data, unless a later edit
+// was already applied
+async function handleCampaignEdited(ctx, event) {
+  const campaignId = campaignKey(event, event.args.campaignId);
+  const campaign = ctx.state.campaignData.get(campaignDataKey(campaignId, event.blockNumber));
+
+  if (!campaign) {
+    ctx.logger.warn(`Campaign data not found for ID ${campaignId} during edit`);
+    return;
+  }
+
+  const applied = await applyCampaignDetails(ctx, campaignId, campaign, event);
+  if (!applied) {
+    ctx.logger.debug(`Campaign ${campaignId} already has details newer than block ${event.blockNumber}`);
+  }
+
+  await recordTransaction(ctx, event, {
+    type: 'Campaign Edited',
+    userAddress: campaign.creator,
+    campaignId
+  });
+}
+
+// Campaign ended: the contract's final value is kept next to the ledger total
+async function handleCampaignEnded(ctx, event) {
+  const campaignId = campaignKey(event, event.args.campaignId);
+  const finalAmount = formatStable(event.args.finalStableValue);
+
+  await ctx.client.query(
+    `UPDATE campaigns SET
+      ended = TRUE,
+      final_amount = $1,
+      ended_block_number = $3,
+      updated_at = NOW()
+    WHERE id = $2`,
+    [finalAmount, campaignId, event.blockNumber]
+  );
+
+  const claimed = await claimLegacyRow(ctx, 'transactions', event, {
+    type: 'Campaign Ended',
+    campaign_id: campaignId,
+    amount: finalAmount
+  });
+  if (claimed) return;
+
+  await ctx.client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, amount, timestamp, chain, tx_hash, block_number, log_index, deployment_id
+    ) VALUES ($1, (SELECT creator FROM campaigns WHERE id = $2), $2, $3, to_timestamp($8), $4, $5, $6, $7, $9)
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      'Campaign Ended',
+      campaignId,
+      finalAmount,
+      ctx.network,
+      event.transactionHash,
+      event.blockNumber,
+      event.index,
+      ctx.timestamp(event),
+      event.deployment.id
+    ]
+  );
+}
+
+module.exports = [
+  {
+    event: 'CampaignCreated',
+    abi: 'event CampaignCreated(uint256 indexed campaignId, address indexed creator)',
+    networks: ['main'],
+    metric: 'campaigns',
+    prepare: loadCampaignData,
+    handle: handleCampaignCreated
+  },
+  {
+    event: 'CampaignEdited',
+    abi: 'event CampaignEdited(uint256 indexed campaignId)',
+    networks: ['main'],
+    metric: 'campaigns',
+    prepare: loadCampaignData,
+    handle: handleCampaignEdited
+  },
+  {
+    event: 'CampaignEnded',
+    abi: 'event CampaignEnded(uint256 indexed campaignId, uint256 finalStableValue)',
+    networks: ['main'],
+    metric: 'campaigns',
+    handle: handleCampaignEnded
+  }
+];
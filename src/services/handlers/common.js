@@ -0,0 +1,83 @@
+// src/services/handlers/common.js
+const ethers = require('ethers');
+
+// Constants
+const STABLE_TOKEN_DECIMALS = 8; // Can be configured based on token
+
+// Stable token amount as a decimal string
+function formatStable(value) {
+  return ethers.formatUnits(value, STABLE_TOKEN_DECIMALS);
+}
+
+// Id of a campaign an event refers to, in the namespace of the main chain deployment
+// that created it (deployments after a chain's original contract prefix their ids)
+function campaignKey(event, onchainId) {
+  return `${event.deployment.campaignPrefix}${onchainId}`;
+}
+
+// Id of a record the emitting deployment numbers itself (withdrawal requests, remote donations)
+function deploymentKey(event, onchainId) {
+  return `${event.deployment.idPrefix}${onchainId}`;
+}
+
+// Rows indexed before events were keyed by log index have none, so the unique event
+// indexes cannot catch a replay of their event. The replay takes over the first legacy
+// row of the same transaction with matching columns instead of inserting a copy.
+// The claimed row starts unconfirmed like an inserted one, so confirmBlocks promotes it
+// once its block is final. Returns whether a legacy row was claimed.
+async function claimLegacyRow(ctx, table, event, match) {
+  const conditions = Object.keys(match).map((column, i) => `${column} IS NOT DISTINCT FROM $${i + 5}`);
+  const result = await ctx.client.query(
+    `UPDATE ${table} SET log_index = $3, block_number = $4, confirmed = FALSE
+     WHERE id = (
+       SELECT id FROM ${table}
+       WHERE chain = $1 AND tx_hash = $2 AND log_index IS NULL AND ${conditions.join(' AND ')}
+       ORDER BY id
+       LIMIT 1
+     )`,
+    [ctx.network, event.transactionHash, event.index, event.blockNumber, ...Object.values(match)]
+  );
+
+  return result.rowCount > 0;
+}
+
+// Activity feed entry for an event
+async function recordTransaction(ctx, event, entry) {
+  const claimed = await claimLegacyRow(ctx, 'transactions', event, {
+    type: entry.type,
+    campaign_id: entry.campaignId || null,
+    amount: entry.amount || null
+  });
+  if (claimed) return;
+
+  await ctx.client.query(
+    `INSERT INTO transactions (
+      type, user_address, campaign_id, amount, token, target_chain, timestamp, chain, tx_hash, block_number, log_index,
+      deployment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($11), $7, $8, $9, $10, $12)
+    ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+    [
+      entry.type,
+      entry.userAddress,
+      entry.campaignId || null,
+      entry.amount || null,
+      entry.token || null,
+      entry.targetChain || null,
+      ctx.network,
+      event.transactionHash,
+      event.blockNumber,
+      event.index,
+      ctx.timestamp(event),
+      event.deployment.id
+    ]
+  );
+}
+
+module.exports = {
+  STABLE_TOKEN_DECIMALS,
+  formatStable,
+  campaignKey,
+  deploymentKey,
+  claimLegacyRow,
+  recordTransaction
+};
@@ -0,0 +1,68 @@
+// src/services/handlers/crossChain.js
+const { formatStable, campaignKey, deploymentKey } = require('./common');
+
+// Remote chain donation: tracked until it is relayed and delivered on the main chain
+async function handleRemoteDonationMade(ctx, event) {
+  await ctx.client.query(
+    `INSERT INTO cross_chain_donations (
+      source_chain, donation_id, campaign_id, donor, amount,
+      source_tx_hash, source_block_number, source_log_index, relay_status, created_at, deployment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'pending', to_timestamp($9), $10)
+    ON CONFLICT (source_chain, donation_id) DO NOTHING`,
+    [
+      ctx.network,
+      deploymentKey(event, event.args.donationId),
+      campaignKey(event, event.args.campaignId),
+      event.args.donor,
+      formatStable(event.args.netUSDValue),
+      event.transactionHash,
+      event.blockNumber,
+      event.index,
+      ctx.timestamp(event),
+      event.deployment.id
+    ]
+  );
+}
+
+// Remote chain relay: only moves donations we know about forward
+async function handleDonationRelayed(ctx, event) {
+  const dstEid = Number(event.args.dstEid);
+  const dstChain = ctx.networkForEid(dstEid);
+
+  await ctx.client.query(
+    `UPDATE cross_chain_donations SET
+      relay_status = CASE WHEN relay_status = 'pending' THEN 'relayed' ELSE relay_status END,
+      dst_eid = $1,
+      dst_chain = $2,
+      relay_tx_hash = $3,
+      relay_block_number = $4,
+      relayed_at = to_timestamp($7)
+    WHERE source_chain = $5 AND donation_id = $6`,
+    [
+      dstEid,
+      dstChain,
+      event.transactionHash,
+      event.blockNumber,
+      ctx.network,
+      deploymentKey(event, event.args.donationId),
+      ctx.timestamp(event)
+    ]
+  );
+}
+
+module.exports = [
+  {
+    event: 'DonationMade',
+    abi: 'event DonationMade(uint256 indexed donationId, uint256 campaignId, address indexed donor, uint256 netUSDValue)',
+    networks: ['remote'],
+    metric: 'crossChain',
+    handle: handleRemoteDonationMade
+  },
+  {
+    event: 'DonationRelayed',
+    abi: 'event DonationRelayed(uint256 indexed donationId, uint32 dstEid)',
+    networks: ['remote'],
+    metric: 'crossChain',
+    handle: handleDonationRelayed
+  }
+];
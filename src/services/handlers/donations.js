@@ -0,0 +1,55 @@
+// src/services/handlers/donations.js
+const { formatStable, campaignKey, claimLegacyRow, recordTransaction } = require('./common');
+const { refreshCampaignTotals } = require('../campaignTotals');
+
+// Main chain donation: insert it into the ledger the campaign totals derive from
+async function handleDonationMade(ctx, event) {
+  const campaignId = campaignKey(event, event.args.campaignId);
+  const donor = event.args.donor;
+  const amount = formatStable(event.args.netUSDValue);
+
+  // A replayed legacy row is already in the ledger
+  const claimed = await claimLegacyRow(ctx, 'donations', event, { campaign_id: campaignId, donor, amount });
+
+  if (!claimed) {
+    const inserted = await ctx.client.query(
+      `INSERT INTO donations (
+        campaign_id, donor, amount, timestamp, chain, tx_hash, block_number, log_index, deployment_id
+      ) VALUES ($1, $2, $3, to_timestamp($8), $4, $5, $6, $7, $9)
+      ON CONFLICT (chain, tx_hash, log_index) DO NOTHING
+      RETURNING id`,
+      [
+        campaignId,
+        donor,
+        amount,
+        ctx.network,
+        event.transactionHash,
+        event.blockNumber,
+        event.index,
+        ctx.timestamp(event),
+        event.deployment.id
+      ]
+    );
+
+    if (inserted.rows.length > 0) {
+      await refreshCampaignTotals(ctx.client, [campaignId]);
+    }
+  }
+
+  await recordTransaction(ctx, event, {
+    type: 'Donation',
+    userAddress: donor,
+    campaignId,
+    amount
+  });
+}
+
+module.exports = [
+  {
+    event: 'DonationMade',
+    abi: 'event DonationMade(uint256 indexed campaignId, address indexed donor, uint256 netUSDValue)',
+    networks: ['main'],
+    metric: 'donations',
+    handle: handleDonationMade
+  }
+];
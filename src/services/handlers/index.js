@@ -0,0 +1,110 @@
+// src/services/handlers/index.js
+const ethers = require('ethers');
+
+// Event handler registry.
+// Each definition describes one contract event:
+//   event    - event name, as emitted by the contract
+//   abi      - human-readable ABI fragment used to build the log filter and decode logs
+//   networks - roles ('main', 'remote') and/or network names the handler applies to
+//   abiVersions - optional list of deployment ABI versions the event exists in (default: all)
+//   metric   - key of metrics.eventsProcessed the event counts towards
+//   handle   - async (ctx, event) writing through ctx.client inside the chunk's transaction
+//   prepare  - optional async (ctx, events) run once per chunk before any handler, with every
+//              event of the definitions sharing it (e.g. to batch contract reads into ctx.state)
+// New events only need a module exporting definitions added to HANDLER_MODULES.
+const HANDLER_MODULES = [
+  require('./campaigns'),
+  require('./donations'),
+  require('./withdrawals'),
+  require('./crossChain'),
+  require('./protocol')
+];
+
+const registry = [];
+
+/**
+ * Add an event handler to the registry
+ * @param {Object} definition - { event, abi, networks, metric, handle, prepare }
+ */
+function registerHandler(definition) {
+  const { event, abi, networks, metric, handle, prepare } = definition;
+
+  if (typeof event !== 'string' || !event) {
+    throw new Error('Event handler needs an event name');
+  }
+  if (!Array.isArray(networks) || networks.length === 0) {
+    throw new Error(`Event handler for ${event} needs at least one network or role`);
+  }
+  if (typeof metric !== 'string' || !metric) {
+    throw new Error(`Event handler for ${event} needs a metric`);
+  }
+  if (definition.abiVersions !== undefined && !Array.isArray(definition.abiVersions)) {
+    throw new Error(`Event handler for ${event} has abiVersions that is not a list`);
+  }
+  if (typeof handle !== 'function' || (prepare !== undefined && typeof prepare !== 'function')) {
+    throw new Error(`Event handler for ${event} needs a handle function (and prepare, if set, must be one)`);
+  }
+
+  let fragment;
+  try {
+    fragment = ethers.EventFragment.from(abi);
+  } catch (error) {
+    throw new Error(`Invalid ABI fragment for ${event}: ${error.message}`);
+  }
+  if (fragment.name !== event) {
+    throw new Error(`ABI fragment ${fragment.format()} does not declare event ${event}`);
+  }
+
+  registry.push({ ...definition, fragment });
+}
+
+function appliesTo(definition, network, config, deployment) {
+  const networkMatches = definition.networks.includes(config.role) || definition.networks.includes(network);
+  const versionMatches = !definition.abiVersions || definition.abiVersions.includes(deployment.abiVersion);
+  return networkMatches && versionMatches;
+}
+
+/**
+ * Handlers that apply to one contract deployment, in registration order, with the
+ * interface and topic filter needed to fetch and decode its logs
+ * @param {string} network - Network name
+ * @param {Object} config - Network config from the registry (uses role)
+ * @param {Object} deployment - Deployment from the network config (uses abiVersion)
+ * @returns {Object} - { byEvent: Map<name, definitions[]>, iface, topics }
+ */
+function getDeploymentHandlers(network, config, deployment) {
+  const byEvent = new Map();
+  const fragments = new Map();
+
+  for (const definition of registry) {
+    if (!appliesTo(definition, network, config, deployment)) continue;
+
+    // Several handlers may consume one event, but they must agree on its signature
+    const signature = definition.fragment.format('sighash');
+    const known = fragments.get(definition.event);
+    if (known && known.format('sighash') !== signature) {
+      throw new Error(`Conflicting ABI fragments for ${definition.event} on ${network}: ${known.format()} and ${definition.fragment.format()}`);
+    }
+    fragments.set(definition.event, definition.fragment);
+
+    if (!byEvent.has(definition.event)) {
+      byEvent.set(definition.event, []);
+    }
+    byEvent.get(definition.event).push(definition);
+  }
+
+  const iface = new ethers.Interface([...fragments.values()]);
+
+  return {
+    byEvent,
+    iface,
+    topics: [...fragments.values()].map(fragment => fragment.topicHash)
+  };
+}
+
+HANDLER_MODULES.flat().forEach(registerHandler);
+
+module.exports = {
+  registerHandler,
+  getDeploymentHandlers
+};
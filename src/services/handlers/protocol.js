@@ -0,0 +1,85 @@
+// src/services/handlers/protocol.js
+const { campaignKey } = require('./common');
+
+// Governance events tracked in protocol_settings_history, with the setting each one changes
+const PROTOCOL_EVENTS = [
+  {
+    abi: 'event FeaturedCampaignSet(uint256 indexed campaignId)',
+    networks: ['main'],
+    describe: (args, ctx, event) => ({ key: 'featured_campaign', value: campaignKey(event, args.campaignId), details: {} })
+  },
+  {
+    abi: 'event FeeBasisPointsUpdated(uint256 newFeeBasisPoints)',
+    describe: args => ({ key: 'fee_basis_points', value: args.newFeeBasisPoints.toString(), details: {} })
+  },
+  {
+    abi: 'event FeeWalletUpdated(address indexed newFeeWallet)',
+    describe: args => ({ key: 'fee_wallet', value: args.newFeeWallet, details: {} })
+  },
+  {
+    abi: 'event VaultWalletUpdated(address indexed newVaultWallet)',
+    describe: args => ({ key: 'vault_wallet', value: args.newVaultWallet, details: {} })
+  },
+  {
+    abi: 'event PriceFeedSet(address indexed token, address priceFeed)',
+    describe: args => ({
+      key: `price_feed:${args.token.toLowerCase()}`,
+      value: args.priceFeed,
+      details: { token: args.token }
+    })
+  },
+  {
+    abi: 'event Paused(address account)',
+    describe: args => ({ key: 'paused', value: 'true', details: { account: args.account } })
+  },
+  {
+    abi: 'event Unpaused(address account)',
+    describe: args => ({ key: 'paused', value: 'false', details: { account: args.account } })
+  },
+  {
+    abi: 'event OwnershipTransferred(address indexed previousOwner, address indexed newOwner)',
+    describe: args => ({ key: 'owner', value: args.newOwner, details: { previousOwner: args.previousOwner } })
+  },
+  {
+    abi: 'event PeerSet(uint32 eid, bytes32 peer)',
+    describe: (args, ctx) => {
+      const eid = Number(args.eid);
+      return { key: `peer:${eid}`, value: args.peer, details: { eid, chain: ctx.networkForEid(eid) } };
+    }
+  }
+];
+
+// Governance event (all chains): append to the protocol settings history
+function protocolHandler(describe) {
+  return async (ctx, event) => {
+    const setting = describe(event.args, ctx, event);
+
+    await ctx.client.query(
+      `INSERT INTO protocol_settings_history (
+        chain, event_name, setting_key, setting_value, details,
+        block_number, log_index, tx_hash, changed_at, deployment_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, to_timestamp($9), $10)
+      ON CONFLICT (chain, tx_hash, log_index) DO NOTHING`,
+      [
+        ctx.network,
+        event.name,
+        setting.key,
+        setting.value,
+        JSON.stringify(setting.details),
+        event.blockNumber,
+        event.index,
+        event.transactionHash,
+        ctx.timestamp(event),
+        event.deployment.id
+      ]
+    );
+  };
+}
+
+module.exports = PROTOCOL_EVENTS.map(({ abi, networks, describe }) => ({
+  event: abi.match(/^event (\w+)/)[1],
+  abi,
+  networks: networks || ['main', 'remote'],
+  metric: 'protocol',
+  handle: protocolHandler(describe)
+}));
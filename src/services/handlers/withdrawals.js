@@ -0,0 +1,92 @@
+// src/services/handlers/withdrawals.js
+const { formatStable, deploymentKey, recordTransaction } = require('./common');
+
+// Withdrawal requested
+async function handleWithdrawalRequested(ctx, event) {
+  const requestId = deploymentKey(event, event.args.requestId);
+  const requester = event.args.requester;
+  const amount = formatStable(event.args.amount);
+  const token = event.args.token;
+  const targetChain = event.args.targetChainId.toString();
+
+  await ctx.client.query(
+    `INSERT INTO withdrawals (
+      id, user_address, amount, token, target_chain, status,
+      request_timestamp, chain, tx_hash, block_number, log_index, deployment_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, to_timestamp($11), $7, $8, $9, $10, $12)
+    ON CONFLICT (id) DO NOTHING`,
+    [
+      requestId,
+      requester,
+      amount,
+      token,
+      targetChain,
+      'Requested',
+      ctx.network,
+      event.transactionHash,
+      event.blockNumber,
+      event.index,
+      ctx.timestamp(event),
+      event.deployment.id
+    ]
+  );
+
+  await recordTransaction(ctx, event, {
+    type: 'Withdrawal Requested',
+    userAddress: requester,
+    amount,
+    token,
+    targetChain
+  });
+}
+
+// Withdrawal processed: only known requests move forward
+async function handleWithdrawalProcessed(ctx, event) {
+  const requestId = deploymentKey(event, event.args.requestId);
+
+  const withdrawal = await ctx.client.query(
+    'SELECT * FROM withdrawals WHERE id = $1',
+    [requestId]
+  );
+
+  if (withdrawal.rows.length === 0) {
+    return;
+  }
+
+  const withdrawalData = withdrawal.rows[0];
+
+  await ctx.client.query(
+    `UPDATE withdrawals SET
+      status = $1,
+      processed_timestamp = to_timestamp($5),
+      processed_tx_hash = $2,
+      processed_block_number = $4
+    WHERE id = $3`,
+    ['Processed', event.transactionHash, requestId, event.blockNumber, ctx.timestamp(event)]
+  );
+
+  await recordTransaction(ctx, event, {
+    type: 'Withdrawal Processed',
+    userAddress: withdrawalData.user_address,
+    amount: withdrawalData.amount,
+    token: withdrawalData.token,
+    targetChain: withdrawalData.target_chain
+  });
+}
+
+module.exports = [
+  {
+    event: 'WithdrawalRequested',
+    abi: 'event WithdrawalRequested(uint256 requestId, address indexed requester, uint256 amount, address token, uint256 targetChainId)',
+    networks: ['main'],
+    metric: 'withdrawals',
+    handle: handleWithdrawalRequested
+  },
+  {
+    event: 'WithdrawalProcessed',
+    abi: 'event WithdrawalProcessed(uint256 requestId, address indexed requester, uint256 amount, address token, uint256 targetChainId)',
+    networks: ['main'],
+    metric: 'withdrawals',
+    handle: handleWithdrawalProcessed
+  }
+];
@@ -0,0 +1,141 @@
+// src/services/health.js
+const db = require('../db');
+const { getPendingMigrations } = require('../db/migrations');
+const { NETWORKS } = require('./blockchain');
+
+// Readiness budgets
+const CHECK_TIMEOUT_MS = parseInt(process.env.READY_CHECK_TIMEOUT_MS) || 2000; // Per check
+const MAX_HEARTBEAT_AGE_MS = parseInt(process.env.READY_MAX_HEARTBEAT_AGE_MS) || 300000; // Oldest acceptable worker heartbeat
+const MAX_LAG_BLOCKS = parseInt(process.env.READY_MAX_LAG_BLOCKS) || 1000; // Blocks a synced network may trail its head
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Run one check, turning a throw or timeout into a failed result
+async function runCheck(name, check) {
+  const start = Date.now();
+  try {
+    const result = await withTimeout(check(), CHECK_TIMEOUT_MS, name);
+    return { ...result, durationMs: Date.now() - start };
+  } catch (error) {
+    return { status: 'fail', error: error.message, durationMs: Date.now() - start };
+  }
+}
+
+async function checkDatabase() {
+  await db.query('SELECT 1');
+  return { status: 'pass' };
+}
+
+async function checkMigrations() {
+  const pending = await getPendingMigrations();
+  return {
+    status: pending.length === 0 ? 'pass' : 'fail',
+    pending
+  };
+}
+
+// The most recent heartbeat of any worker; a stopped worker indexes nothing
+async function checkIndexerHeartbeat() {
+  const result = await db.query(
+    `SELECT worker_id, status, last_heartbeat,
+      EXTRACT(EPOCH FROM (NOW() - last_heartbeat)) AS age_seconds
+     FROM worker_heartbeats
+     ORDER BY last_heartbeat DESC
+     LIMIT 1`
+  );
+
+  if (result.rows.length === 0) {
+    return { status: 'fail', error: 'No worker heartbeat recorded', maxAgeSeconds: MAX_HEARTBEAT_AGE_MS / 1000 };
+  }
+
+  const heartbeat = result.rows[0];
+  const ageSeconds = Math.round(parseFloat(heartbeat.age_seconds));
+  const fresh = ageSeconds * 1000 <= MAX_HEARTBEAT_AGE_MS;
+
+  return {
+    status: fresh && heartbeat.status !== 'stopped' ? 'pass' : 'fail',
+    workerId: heartbeat.worker_id,
+    workerStatus: heartbeat.status,
+    lastHeartbeat: heartbeat.last_heartbeat,
+    ageSeconds,
+    maxAgeSeconds: MAX_HEARTBEAT_AGE_MS / 1000
+  };
+}
+
+// Stored cursor against the head seen by the worker's last run (no RPC calls).
+// Networks still in their initial sync are reported but do not fail the check.
+async function checkIndexerLag() {
+  const result = await db.query(
+    `SELECT chain, last_indexed_block, chain_head, synced_at
+     FROM indexer_state
+     WHERE chain = ANY($1)`,
+    [Object.keys(NETWORKS)]
+  );
+
+  const networks = {};
+  let behind = false;
+
+  for (const row of result.rows) {
+    const lagBlocks = row.chain_head === null ?
+      null :
+      Math.max(0, parseInt(row.chain_head) - parseInt(row.last_indexed_block));
+    const syncing = row.synced_at === null;
+
+    networks[row.chain] = { lagBlocks, syncing };
+    if (!syncing && lagBlocks !== null && lagBlocks > MAX_LAG_BLOCKS) {
+      behind = true;
+    }
+  }
+
+  return {
+    status: behind ? 'fail' : 'pass',
+    maxLagBlocks: MAX_LAG_BLOCKS,
+    networks
+  };
+}
+
+/**
+ * Liveness: the process is up and serving requests
+ * @returns {Object}
+ */
+function getLiveness() {
+  return {
+    status: 'ok',
+    uptimeSeconds: Math.round(process.uptime()),
+    checkedAt: new Date()
+  };
+}
+
+/**
+ * Readiness: database reachable, schema migrated and the indexer keeping up
+ * @returns {Object} - { ready, status, checkedAt, checks } with one result per check
+ */
+async function getReadiness() {
+  const [database, migrations, indexerHeartbeat, indexerLag] = await Promise.all([
+    runCheck('database', checkDatabase),
+    runCheck('migrations', checkMigrations),
+    runCheck('indexerHeartbeat', checkIndexerHeartbeat),
+    runCheck('indexerLag', checkIndexerLag)
+  ]);
+
+  const checks = { database, migrations, indexerHeartbeat, indexerLag };
+  const ready = Object.values(checks).every(check => check.status === 'pass');
+
+  return {
+    ready,
+    status: ready ? 'ready' : 'not_ready',
+    checkedAt: new Date(),
+    checks
+  };
+}
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
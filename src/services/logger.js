@@ -0,0 +1,172 @@
+// src/services/logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const winston = require('winston');
+
+const { format, transports } = winston;
+
+// Every component logs JSON lines to stdout (and to LOG_FILE when set). LOG_LEVEL sets
+// the level of every component; LOG_LEVELS overrides it per component, for example
+// LOG_LEVELS=rpc-pool=warn,blockchain=debug. LOG_FORMAT=pretty prints one readable line
+// per entry for local development.
+const DEFAULT_LEVEL = process.env.NODE_ENV === 'production' ? 'info' : 'debug';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const LOG_FILE = process.env.LOG_FILE || null;
+
+const REDACTED = '[REDACTED]';
+const MAX_REDACT_DEPTH = 6;
+
+// Meta fields whose values are never logged
+const SECRET_FIELD = /(private_?key|secret|seed|password|passphrase|mnemonic|api_?key|access_?token|auth_?token|authorization)$/i;
+
+// Environment variables whose values are masked wherever they show up in a log entry
+const SECRET_ENV = /(PRIVATE_KEY|SECRET|SEED|PASSWORD|MNEMONIC|API_KEY|TOKEN)/;
+const MIN_SECRET_LENGTH = 8;
+
+// Correlation context of the current API request or indexing chunk
+const contextStorage = new AsyncLocalStorage();
+
+const loggers = new Map();
+
+function parseComponentLevels(value) {
+  const levels = {};
+  for (const entry of (value || '').split(',')) {
+    const [component, level] = entry.split('=').map(part => part && part.trim());
+    if (component && level) {
+      levels[component] = level;
+    }
+  }
+  return levels;
+}
+
+const COMPONENT_LEVELS = parseComponentLevels(process.env.LOG_LEVELS);
+
+const secretValues = Object.entries(process.env)
+  .filter(([name, value]) => SECRET_ENV.test(name) && value && value.length >= MIN_SECRET_LENGTH)
+  .map(([, value]) => value);
+
+/**
+ * Strip credentials, paths and query strings from URLs, where RPC providers put API keys
+ * @param {string} message - Text that may contain URLs
+ * @returns {string} - The text with only the scheme and host of each URL
+ */
+function redactUrls(message) {
+  return String(message).replace(/([a-z][a-z0-9+.-]*):\/\/(?:[^\/\s"',@]*@)?([^\/\s"',]+)[^\s"',]*/gi, '$1://$2');
+}
+
+function redactString(value) {
+  let redacted = redactUrls(value);
+  for (const secret of secretValues) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+}
+
+// Copy of a meta value with secret fields and URLs masked; the caller's objects are left alone
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth >= MAX_REDACT_DEPTH) return '[Truncated]';
+
+  if (value instanceof Error) {
+    return { message: redactString(value.message), stack: value.stack && redactString(value.stack) };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  if (value instanceof Date) return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = SECRET_FIELD.test(key) ? REDACTED : redactValue(item, depth + 1);
+  }
+  return copy;
+}
+
+const redact = format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level') continue;
+    info[key] = SECRET_FIELD.test(key) ? REDACTED : redactValue(info[key]);
+  }
+  return info;
+});
+
+// Fields of the current correlation context, without overriding the entry's own meta
+const correlation = format((info) => {
+  const context = contextStorage.getStore();
+  if (context) {
+    for (const [key, value] of Object.entries(context)) {
+      if (info[key] === undefined) {
+        info[key] = value;
+      }
+    }
+  }
+  return info;
+});
+
+const prettyFormat = format.combine(
+  format.colorize(),
+  format.printf(({ level, message, timestamp, component, ...meta }) => {
+    const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
+    return `${timestamp} [${component}] ${level}: ${message} ${metaStr}`;
+  })
+);
+
+function createTransports() {
+  const output = LOG_FORMAT === 'pretty' ? prettyFormat : format.json();
+  return [
+    new transports.Console({ format: output }),
+    ...(LOG_FILE ? [new transports.File({ filename: LOG_FILE, format: format.json() })] : [])
+  ];
+}
+
+/**
+ * Logger of one component. Entries carry the component name, the correlation context
+ * they were logged in, and have secrets redacted.
+ * @param {string} component - Component name, also the key for its LOG_LEVELS override
+ * @param {Object} options - level to use when neither LOG_LEVELS nor LOG_LEVEL sets one
+ * @returns {Object} - winston logger
+ */
+function createLogger(component, options = {}) {
+  if (loggers.has(component)) {
+    return loggers.get(component);
+  }
+
+  const logger = winston.createLogger({
+    level: COMPONENT_LEVELS[component] || process.env.LOG_LEVEL || options.level || DEFAULT_LEVEL,
+    format: format.combine(
+      format.timestamp(),
+      format.errors({ stack: true }),
+      format.splat(),
+      correlation(),
+      redact()
+    ),
+    defaultMeta: { component },
+    transports: createTransports()
+  });
+
+  loggers.set(component, logger);
+  return logger;
+}
+
+/**
+ * Run a function with fields added to the correlation context of every entry logged
+ * during it, including from async work it starts
+ * @param {Object} fields - Context fields, e.g. { correlationId }
+ * @param {Function} fn - Function to run
+ * @returns {*} - What fn returns
+ */
+function withLogContext(fields, fn) {
+  return contextStorage.run({ ...contextStorage.getStore(), ...fields }, fn);
+}
+
+function newCorrelationId() {
+  return randomUUID();
+}
+
+module.exports = {
+  createLogger,
+  withLogContext,
+  newCorrelationId,
+  redactUrls
+};
@@ -0,0 +1,203 @@
+// src/services/metrics.js
+const http = require('http');
+
+// Prometheus metrics in the text exposition format. Each process (API, worker daemon,
+// donation monitor) keeps its own registry and serves it on /metrics; modules create
+// their metrics at load time and only the ones a process uses ever get samples.
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]; // Seconds
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const registry = new Map();
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Samples are keyed by their label values in labelNames order
+function labelValues(metric, labels = {}) {
+  return metric.labelNames.map(name => {
+    if (labels[name] === undefined || labels[name] === null) {
+      throw new Error(`Metric ${metric.name} is missing label "${name}"`);
+    }
+    return String(labels[name]);
+  });
+}
+
+function register(name, help, type, labelNames) {
+  if (registry.has(name)) {
+    const existing = registry.get(name);
+    if (existing.type !== type) {
+      throw new Error(`Metric ${name} is already registered as a ${existing.type}`);
+    }
+    return existing;
+  }
+
+  const metric = { name, help, type, labelNames, samples: new Map() };
+  registry.set(name, metric);
+  return metric;
+}
+
+function sample(metric, labels, create) {
+  const values = labelValues(metric, labels);
+  const key = JSON.stringify(values);
+  if (!metric.samples.has(key)) {
+    metric.samples.set(key, { values, ...create() });
+  }
+  return metric.samples.get(key);
+}
+
+/**
+ * Monotonic counter
+ * @param {string} name - Metric name (ends in _total by convention)
+ * @param {string} help - Description
+ * @param {Array<string>} labelNames - Label names every sample carries
+ * @returns {Object} - { inc(labels, value) }
+ */
+function createCounter(name, help, labelNames = []) {
+  const metric = register(name, help, 'counter', labelNames);
+
+  return {
+    inc(labels = {}, value = 1) {
+      sample(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * Value that can go up and down
+ * @returns {Object} - { set(labels, value), inc(labels, value) }
+ */
+function createGauge(name, help, labelNames = []) {
+  const metric = register(name, help, 'gauge', labelNames);
+
+  return {
+    set(labels = {}, value) {
+      sample(metric, labels, () => ({ value: 0 })).value = value;
+    },
+    inc(labels = {}, value = 1) {
+      sample(metric, labels, () => ({ value: 0 })).value += value;
+    }
+  };
+}
+
+/**
+ * Distribution of observed values (durations in seconds by default)
+ * @param {Array<number>} buckets - Upper bounds of the buckets, ascending
+ * @returns {Object} - { observe(labels, value), startTimer(labels) returning a stop function }
+ */
+function createHistogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const metric = register(name, help, 'histogram', labelNames);
+  metric.buckets = buckets;
+
+  const observe = (labels = {}, value) => {
+    const entry = sample(metric, labels, () => ({ counts: buckets.map(() => 0), sum: 0, count: 0 }));
+    buckets.forEach((bound, index) => {
+      if (value <= bound) entry.counts[index]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  };
+
+  return {
+    observe,
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => observe({ ...labels, ...extraLabels }, Number(process.hrtime.bigint() - start) / 1e9);
+    }
+  };
+}
+
+function labelsOf(metric, entry, extra = {}) {
+  const labels = {};
+  metric.labelNames.forEach((name, index) => {
+    labels[name] = entry.values[index];
+  });
+  return { ...labels, ...extra };
+}
+
+// Process-level gauges refreshed on every scrape
+const processStartTime = createGauge('process_start_time_seconds', 'Start time of the process since unix epoch in seconds');
+const residentMemory = createGauge('process_resident_memory_bytes', 'Resident memory size in bytes');
+const heapUsed = createGauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes');
+processStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+/**
+ * Render every registered metric in the Prometheus text format
+ * @returns {string}
+ */
+function renderMetrics() {
+  const memory = process.memoryUsage();
+  residentMemory.set({}, memory.rss);
+  heapUsed.set({}, memory.heapUsed);
+
+  const lines = [];
+
+  for (const metric of registry.values()) {
+    lines.push(`# HELP ${metric.name} ${metric.help}`);
+    lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+    for (const entry of metric.samples.values()) {
+      if (metric.type !== 'histogram') {
+        lines.push(`${metric.name}${formatLabels(labelsOf(metric, entry))} ${entry.value}`);
+        continue;
+      }
+
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels(labelsOf(metric, entry, { le: bound }))} ${entry.counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels(labelsOf(metric, entry, { le: '+Inf' }))} ${entry.count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labelsOf(metric, entry))} ${entry.sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labelsOf(metric, entry))} ${entry.count}`);
+    }
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+// Express (or plain http) handler for GET /metrics
+function metricsHandler(req, res) {
+  res.statusCode = 200;
+  res.setHeader('Content-Type', CONTENT_TYPE);
+  res.end(renderMetrics());
+}
+
+/**
+ * Serve /metrics on its own port, for processes without an HTTP API
+ * @param {number} port - Port to listen on
+ * @param {Function} log - (message, level) logger of the calling process
+ * @returns {Object} - The http.Server
+ */
+function startMetricsServer(port, log = console.log) {
+  const server = http.createServer((req, res) => {
+    if (req.method === 'GET' && req.url.split('?')[0] === '/metrics') {
+      return metricsHandler(req, res);
+    }
+    res.statusCode = 404;
+    res.end('Not found\n');
+  });
+
+  // A taken port only costs the metrics, never the process
+  server.on('error', (error) => {
+    log(`Metrics server on port ${port} failed: ${error.message}`, 'error');
+  });
+
+  server.listen(port, () => {
+    log(`Metrics available on port ${port} at /metrics`, 'info');
+  });
+
+  return server;
+}
+
+module.exports = {
+  createCounter,
+  createGauge,
+  createHistogram,
+  renderMetrics,
+  metricsHandler,
+  startMetricsServer
+};
@@ -0,0 +1,129 @@
+// src/services/multicall.js
+const ethers = require('ethers');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('multicall');
+
+// Constants
+const MULTICALL3_ADDRESS = process.env.MULTICALL3_ADDRESS || '0xcA11bde05977b3631167028862bE2a173976CA11';
+const MULTICALL_BATCH_SIZE = parseInt(process.env.MULTICALL_BATCH_SIZE) || 500; // View calls per eth_call
+const FALLBACK_CONCURRENCY = 20; // Parallel eth_calls when Multicall3 is not deployed
+
+const multicallInterface = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+// Blocks Multicall3 is known to be deployed at or above (deployedFrom) and missing at or
+// below (missingUntil), per provider. Historical reads can predate the deployment.
+const availability = new WeakMap();
+
+async function isMulticallAvailable(provider, blockTag) {
+  if (!availability.has(provider)) {
+    availability.set(provider, { deployedFrom: null, missingUntil: null });
+  }
+  const known = availability.get(provider);
+
+  if (known.deployedFrom !== null && blockTag >= known.deployedFrom) return true;
+  if (known.missingUntil !== null && blockTag <= known.missingUntil) return false;
+
+  const deployed = (await provider.getCode(MULTICALL3_ADDRESS, blockTag)) !== '0x';
+  if (deployed && (known.deployedFrom === null || blockTag < known.deployedFrom)) {
+    known.deployedFrom = blockTag;
+  } else if (!deployed && (known.missingUntil === null || blockTag > known.missingUntil)) {
+    known.missingUntil = blockTag;
+  }
+
+  return deployed;
+}
+
+// Decode a call's return data like a contract method would (single outputs unwrapped)
+function decodeResult(call, returnData) {
+  const decoded = call.iface.decodeFunctionResult(call.method, returnData);
+  return decoded.length === 1 ? decoded[0] : decoded;
+}
+
+async function aggregate(provider, calls, blockTag) {
+  const data = multicallInterface.encodeFunctionData('aggregate3', [
+    calls.map(call => ({
+      target: call.target,
+      allowFailure: true,
+      callData: call.iface.encodeFunctionData(call.method, call.args)
+    }))
+  ]);
+
+  const raw = await provider.call({ to: MULTICALL3_ADDRESS, data, blockTag });
+  const [returnData] = multicallInterface.decodeFunctionResult('aggregate3', raw);
+
+  return returnData.map(({ success, returnData: callData }, i) => {
+    if (!success) {
+      return { success: false, error: `${calls[i].method} reverted` };
+    }
+
+    try {
+      return { success: true, value: decodeResult(calls[i], callData) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  });
+}
+
+async function callIndividually(provider, calls, blockTag) {
+  const results = [];
+
+  for (let i = 0; i < calls.length; i += FALLBACK_CONCURRENCY) {
+    const batch = calls.slice(i, i + FALLBACK_CONCURRENCY);
+    const batchResults = await Promise.all(batch.map(async (call) => {
+      const data = call.iface.encodeFunctionData(call.method, call.args);
+
+      try {
+        const returnData = await provider.call({ to: call.target, data, blockTag });
+        return { success: true, value: decodeResult(call, returnData) };
+      } catch (error) {
+        // Reverts are per-call results, anything else is a provider problem
+        if (error.code === 'CALL_EXCEPTION') {
+          return { success: false, error: error.shortMessage || error.message };
+        }
+        throw error;
+      }
+    }));
+
+    results.push(...batchResults);
+  }
+
+  return results;
+}
+
+/**
+ * Run view calls in Multicall3 batches, all at the same block.
+ * Falls back to one eth_call per view when Multicall3 is not deployed at that block.
+ * @param {Object} provider - ethers provider
+ * @param {Array<Object>} calls - { target, iface, method, args }
+ * @param {Object} options - blockTag to pin reads to (defaults to the current block)
+ * @returns {Object} - { blockNumber, results: [{ success, value, error }] } in call order
+ */
+async function multicall(provider, calls, options = {}) {
+  const blockTag = options.blockTag !== undefined ? options.blockTag : await provider.getBlockNumber();
+
+  if (calls.length === 0) {
+    return { blockNumber: blockTag, results: [] };
+  }
+
+  const useMulticall = await isMulticallAvailable(provider, blockTag);
+  if (!useMulticall) {
+    logger.debug(`Multicall3 not deployed at block ${blockTag}, making ${calls.length} individual calls`);
+    return { blockNumber: blockTag, results: await callIndividually(provider, calls, blockTag) };
+  }
+
+  const results = [];
+  for (let i = 0; i < calls.length; i += MULTICALL_BATCH_SIZE) {
+    const batch = calls.slice(i, i + MULTICALL_BATCH_SIZE);
+    results.push(...await aggregate(provider, batch, blockTag));
+  }
+
+  return { blockNumber: blockTag, results };
+}
+
+module.exports = {
+  MULTICALL3_ADDRESS,
+  multicall
+};
@@ -0,0 +1,288 @@
+// src/services/realtime.js
+const ethers = require('ethers');
+const { createLogger, redactUrls } = require('./logger');
+
+const logger = createLogger('realtime');
+
+// Constants
+const STALE_SUBSCRIPTION_MS = parseInt(process.env.WS_STALE_MS) || 60000; // No new head for this long means the subscription dropped
+const RECONNECT_BASE_MS = 1000; // First reconnect delay, doubled per failed attempt
+const RECONNECT_MAX_MS = 60000;
+const MAX_PENDING_ATTEMPTS = 5; // Indexing runs to wait for the HTTP endpoints to reach a subscribed log
+
+// Subscriptions only wake the worker: indexing still goes through the cursor and getLogs,
+// so blocks missed while a socket was down are filled on the next run.
+// connections: network -> connection state; pending: network -> { blockNumber, attempts }
+const connections = new Map();
+const pending = new Map();
+let onActivity = null;
+let running = false;
+
+function markActivity(network, blockNumber) {
+  const entry = pending.get(network);
+  if (!entry || blockNumber > entry.blockNumber) {
+    pending.set(network, { blockNumber, attempts: 0 });
+  }
+  if (onActivity) {
+    onActivity(network);
+  }
+}
+
+// Close the socket instead of destroy(): ethers rejects in-flight eth_subscribe requests
+// on destroy without a handler, which surfaces as an unhandled rejection
+function closeProvider(provider) {
+  provider.websocket.onclose = null;
+  provider.websocket.onerror = () => {};
+  try {
+    provider.websocket.close();
+  } catch (error) {
+    // Already closed
+  }
+}
+
+function scheduleReconnect(conn, reason) {
+  if (!running || conn.reconnectTimer || conn.disabledReason) return;
+
+  const wasConnected = conn.connected;
+  conn.connected = false;
+  conn.lastError = redactUrls(reason);
+  conn.lastErrorAt = new Date();
+
+  if (wasConnected) {
+    logger.warn(`${conn.network} WebSocket subscription dropped, falling back to polling`, { reason: conn.lastError });
+  }
+
+  if (conn.provider) {
+    closeProvider(conn.provider);
+    conn.provider = null;
+  }
+
+  const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** conn.failedAttempts);
+  conn.failedAttempts++;
+  conn.reconnectTimer = setTimeout(() => {
+    conn.reconnectTimer = null;
+    connect(conn);
+  }, delay);
+}
+
+function connect(conn) {
+  if (!running) return;
+
+  let provider;
+  try {
+    provider = new ethers.WebSocketProvider(conn.url, conn.chainId, { staticNetwork: true });
+  } catch (error) {
+    scheduleReconnect(conn, error.message);
+    return;
+  }
+
+  conn.provider = provider;
+  conn.lastHeadAt = Date.now(); // Grace period for the first head
+
+  // ethers does not reconnect on its own; a closed socket is reopened here
+  provider.websocket.onerror = (event) => {
+    if (conn.provider === provider) {
+      scheduleReconnect(conn, (event && event.message) || 'WebSocket error');
+    }
+  };
+  provider.websocket.onclose = (event) => {
+    if (conn.provider === provider) {
+      scheduleReconnect(conn, `WebSocket closed${event && event.code ? ` (code ${event.code})` : ''}`);
+    }
+  };
+
+  // staticNetwork skips ethers' own network detection, so check the chain id once before
+  // subscribing, the same way the RPC pool verifies its endpoints
+  provider.send('eth_chainId', []).then((chainId) => {
+    if (conn.provider !== provider) return;
+
+    if (Number(chainId) !== conn.chainId) {
+      disable(conn, `serves chain id ${Number(chainId)}, expected ${conn.chainId}`);
+      return;
+    }
+
+    subscribe(conn, provider);
+  }).catch((error) => {
+    if (conn.provider === provider) {
+      scheduleReconnect(conn, error.message);
+    }
+  });
+}
+
+// Stop using a WebSocket URL that points at the wrong chain; polling covers the network
+function disable(conn, reason) {
+  conn.disabledReason = reason;
+  conn.lastError = redactUrls(reason);
+  conn.lastErrorAt = new Date();
+  logger.error(`Disabled ${conn.network} WebSocket subscription: ${conn.lastError}`);
+
+  closeProvider(conn.provider);
+  conn.provider = null;
+}
+
+function subscribe(conn, provider) {
+  provider.on('block', (blockNumber) => {
+    if (conn.provider !== provider) return;
+
+    conn.lastHead = blockNumber;
+    conn.lastHeadAt = Date.now();
+
+    if (!conn.connected) {
+      conn.connected = true;
+      conn.failedAttempts = 0;
+      conn.connects++;
+      logger.info(`${conn.network} WebSocket subscription live at block ${blockNumber}`);
+
+      // Index whatever happened while the socket was down
+      markActivity(conn.network, blockNumber);
+    }
+  }).catch(error => scheduleReconnect(conn, error.message));
+
+  if (conn.subscribeLogs && conn.addresses.length > 0) {
+    provider.on({ address: conn.addresses }, (log) => {
+      if (conn.provider !== provider || log.removed) return;
+      markActivity(conn.network, log.blockNumber);
+    }).catch(error => scheduleReconnect(conn, error.message));
+  }
+}
+
+// Reconnect subscriptions that stopped delivering heads without closing the socket
+function checkStaleSubscriptions() {
+  for (const conn of connections.values()) {
+    if (conn.provider && Date.now() - conn.lastHeadAt > STALE_SUBSCRIPTION_MS) {
+      scheduleReconnect(conn, `no new head for ${Math.round((Date.now() - conn.lastHeadAt) / 1000)}s`);
+    }
+  }
+}
+
+let staleTimer = null;
+
+/**
+ * Subscribe to new heads (and contract logs) over WebSocket for each network
+ * @param {Object} networks - Network configs keyed by name (chainId, wsUrl, deployments)
+ * @param {Object} options - onActivity(network) called when a network has new data to index,
+ *   subscribeLogs to also wake on contract logs (only useful when indexing unconfirmed blocks)
+ * @returns {number} - Networks with a WebSocket URL
+ */
+function startRealtime(networks, options = {}) {
+  if (running) return connections.size;
+
+  running = true;
+  onActivity = options.onActivity || null;
+
+  for (const [network, config] of Object.entries(networks)) {
+    if (!config.wsUrl) continue;
+
+    const conn = {
+      network,
+      url: config.wsUrl,
+      chainId: config.chainId,
+      // Contracts still emitting events: deployments without an end block
+      addresses: config.deployments
+        .filter(deployment => deployment.address && deployment.endBlock === null)
+        .map(deployment => deployment.address),
+      subscribeLogs: options.subscribeLogs !== false,
+      provider: null,
+      connected: false,
+      connects: 0,
+      failedAttempts: 0,
+      reconnectTimer: null,
+      disabledReason: null,
+      lastHead: null,
+      lastHeadAt: null,
+      lastError: null,
+      lastErrorAt: null
+    };
+
+    connections.set(network, conn);
+    connect(conn);
+  }
+
+  staleTimer = setInterval(checkStaleSubscriptions, Math.min(STALE_SUBSCRIPTION_MS, 15000));
+  logger.info(`Realtime WebSocket mode started for ${connections.size} network(s)`);
+
+  return connections.size;
+}
+
+function stopRealtime() {
+  running = false;
+  clearInterval(staleTimer);
+
+  for (const conn of connections.values()) {
+    clearTimeout(conn.reconnectTimer);
+    if (conn.provider) {
+      closeProvider(conn.provider);
+      conn.provider = null;
+    }
+  }
+
+  connections.clear();
+  pending.clear();
+}
+
+// Whether every network is covered by a live log subscription (otherwise keep polling).
+// Heads alone only wake the worker after a reconnect, so without logs (confirmed-only
+// indexing, or no active deployment) the polling interval has to stay as it is.
+function isRealtimeHealthy(networks) {
+  return networks.length > 0 && networks.every(network => {
+    const conn = connections.get(network);
+    return Boolean(conn && conn.connected && conn.subscribeLogs && conn.addresses.length > 0);
+  });
+}
+
+// Networks with subscribed activity not yet indexed; each call counts as one attempt
+function takeActiveNetworks() {
+  const networks = [];
+
+  for (const [network, entry] of pending) {
+    entry.attempts++;
+    if (entry.attempts > MAX_PENDING_ATTEMPTS) {
+      logger.warn(`${network} still behind subscribed block ${entry.blockNumber}, leaving it to polling`);
+      pending.delete(network);
+      continue;
+    }
+    networks.push(network);
+  }
+
+  return networks;
+}
+
+// Clear activity once the cursor has reached the block it was seen in
+function markIndexed(network, lastIndexedBlock) {
+  const entry = pending.get(network);
+  if (entry && lastIndexedBlock >= entry.blockNumber) {
+    pending.delete(network);
+  }
+}
+
+function hasPendingActivity() {
+  return pending.size > 0;
+}
+
+function getRealtimeStatus() {
+  const status = {};
+
+  for (const [network, conn] of connections) {
+    status[network] = {
+      connected: conn.connected,
+      lastHead: conn.lastHead,
+      lastHeadAt: conn.lastHeadAt ? new Date(conn.lastHeadAt) : null,
+      connects: conn.connects,
+      disabledReason: conn.disabledReason,
+      lastError: conn.lastError,
+      lastErrorAt: conn.lastErrorAt
+    };
+  }
+
+  return status;
+}
+
+module.exports = {
+  startRealtime,
+  stopRealtime,
+  isRealtimeHealthy,
+  takeActiveNetworks,
+  markIndexed,
+  hasPendingActivity,
+  getRealtimeStatus
+};
@@ -1,40 +1,21 @@
 // src/services/reconciliation.js
 const ethers = require('ethers');
 const db = require('../db');
-const { providers, contracts, NETWORKS } = require('./blockchain');
-const { createLogger, format, transports } = require('winston');
+const { providers, NETWORKS, readContract, preparePool } = require('./blockchain');
+const { createLogger } = require('./logger');
+const alerts = require('./alerts');
 
 // Constants
 const STABLE_TOKEN_DECIMALS = 8;
 const RECONCILIATION_THRESHOLD = 0.01; // 0.01 USD threshold for discrepancies
-const BATCH_SIZE = 50; // Number of campaigns to process in one batch
+const BATCH_SIZE = 500; // Number of campaigns read in one multicall batch
 
-// Logger configuration
-const logger = createLogger({
-  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
-  format: format.combine(
-    format.timestamp(),
-    format.errors({ stack: true }),
-    format.splat(),
-    format.json()
-  ),
-  defaultMeta: { service: 'reconciliation-service' },
-  transports: [
-    new transports.Console({
-      format: format.combine(
-        format.colorize(),
-        format.printf(({ level, message, timestamp, service, ...meta }) => {
-          const metaStr = Object.keys(meta).length ? JSON.stringify(meta) : '';
-          return `${timestamp} [${service}] ${level}: ${message} ${metaStr}`;
-        })
-      )
-    }),
-    new transports.File({ filename: 'logs/reconciliation.log' })
-  ]
-});
+const logger = createLogger('reconciliation');
 
 /**
- * Reconcile campaign data between database and blockchain
+ * Compare each campaign's ledger total with the contract's total. Totals are derived
+ * from the donations ledger, so discrepancies are logged for investigation (missed or
+ * extra events, fixed with a reindex) rather than written over the total.
  */
 async function reconcileCampaigns() {
   logger.info('Starting campaign reconciliation process');
@@ -42,39 +23,65 @@ async function reconcileCampaigns() {
   try {
     // Get main chain (Polygon) provider and contract
     const mainNetwork = Object.keys(NETWORKS).find(key => NETWORKS[key].isMain);
-    if (!mainNetwork || !providers[mainNetwork] || !contracts[mainNetwork]) {
+    if (!mainNetwork || !(mainNetwork in providers)) {
       throw new Error('Main network provider or contract not available');
     }
+    await preparePool(mainNetwork);
     
-    const provider = providers[mainNetwork];
-    const contract = contracts[mainNetwork];
+    // Pin every read to the same block so all campaigns are compared at one point in time
+    const blockNumber = await providers[mainNetwork].getBlockNumber();
     
     // Get all campaigns from the database
     const dbCampaigns = await db.query(
-      'SELECT id, name, amount_raised, ended FROM campaigns'
+      'SELECT id, deployment_id, onchain_id, name, amount_raised, ended FROM campaigns ORDER BY deployment_id'
     );
     
     logger.info(`Found ${dbCampaigns.rows.length} campaigns in database`);
     
-    // Process campaigns in batches to avoid overwhelming the RPC
+    // Process campaigns in batches to avoid overwhelming the RPC; each batch reads
+    // from the contract deployment its campaigns were created on
+    const deployments = NETWORKS[mainNetwork].deployments;
     const campaignBatches = [];
-    for (let i = 0; i < dbCampaigns.rows.length; i += BATCH_SIZE) {
-      campaignBatches.push(dbCampaigns.rows.slice(i, i + BATCH_SIZE));
+    let errorCount = 0;
+    
+    for (const deployment of deployments) {
+      const deploymentCampaigns = dbCampaigns.rows.filter(row => row.deployment_id === deployment.id);
+      for (let i = 0; i < deploymentCampaigns.length; i += BATCH_SIZE) {
+        campaignBatches.push({ deployment, campaigns: deploymentCampaigns.slice(i, i + BATCH_SIZE) });
+      }
     }
     
-    let updatedCount = 0;
-    let errorCount = 0;
+    const unknownDeployments = dbCampaigns.rows.filter(row => !deployments.some(deployment => deployment.id === row.deployment_id));
+    if (unknownDeployments.length > 0) {
+      errorCount += unknownDeployments.length;
+      logger.warn(`Skipping ${unknownDeployments.length} campaigns from deployments that are not configured`, {
+        deployments: [...new Set(unknownDeployments.map(row => row.deployment_id))]
+      });
+    }
+    
+    let discrepancyCount = 0;
     let matchCount = 0;
+    const discrepancies = [];
     
-    for (const [batchIndex, batch] of campaignBatches.entries()) {
-      logger.info(`Processing batch ${batchIndex + 1}/${campaignBatches.length} (${batch.length} campaigns)`);
+    for (const [batchIndex, { deployment, campaigns: batch }] of campaignBatches.entries()) {
+      logger.info(`Processing batch ${batchIndex + 1}/${campaignBatches.length} (${batch.length} ${deployment.id} campaigns)`);
+      
+      // Get campaign data from blockchain for the whole batch
+      const { results } = await readContract(
+        mainNetwork,
+        'campaigns',
+        batch.map(dbCampaign => [dbCampaign.onchain_id]),
+        { blockTag: blockNumber, deployment }
+      );
       
       // Process each campaign in the batch
-      const batchPromises = batch.map(async (dbCampaign) => {
+      const batchPromises = batch.map(async (dbCampaign, index) => {
         try {
-          // Get campaign data from blockchain
           const campaignId = dbCampaign.id;
-          const chainCampaign = await contract.campaigns(campaignId);
+          if (!results[index].success) {
+            throw new Error(`Failed to read campaign from chain: ${results[index].error}`);
+          }
+          const chainCampaign = results[index].value;
           
           // Format amounts for comparison
           const chainAmountRaised = parseFloat(ethers.formatUnits(chainCampaign.totalStable, STABLE_TOKEN_DECIMALS));
@@ -83,33 +90,30 @@ async function reconcileCampaigns() {
           // Calculate discrepancy
           const discrepancy = Math.abs(chainAmountRaised - dbAmountRaised);
           
-          // Check if reconciliation is needed
+          // Check if the ledger disagrees with the contract
           if (discrepancy > RECONCILIATION_THRESHOLD) {
-            logger.info(`Discrepancy found for campaign ${campaignId}: DB=${dbAmountRaised}, Chain=${chainAmountRaised}, Diff=${discrepancy}`);
-            
-            // Update the database with the blockchain value
-            await db.query(
-              `UPDATE campaigns SET 
-                amount_raised = $1,
-                ended = $2,
-                updated_at = NOW(),
-                last_reconciled = NOW()
-              WHERE id = $3`,
-              [chainAmountRaised, chainCampaign.ended, campaignId]
-            );
+            logger.warn(`Discrepancy found for campaign ${campaignId}: DB=${dbAmountRaised}, Chain=${chainAmountRaised}, Diff=${discrepancy}`);
             
-            // Log the reconciliation
-            await db.query(
-              `INSERT INTO reconciliation_log (
-                campaign_id, previous_value, new_value, discrepancy, reconciled_at
-              ) VALUES ($1, $2, $3, $4, NOW())`,
-              [campaignId, dbAmountRaised, chainAmountRaised, discrepancy]
-            );
+            // Record the ledger (previous) and contract (new) values without changing the total
+            await db.withTransaction(async (client) => {
+              await client.query(
+                'UPDATE campaigns SET last_reconciled = NOW() WHERE id = $1',
+                [campaignId]
+              );
+              
+              await client.query(
+                `INSERT INTO reconciliation_log (
+                  campaign_id, previous_value, new_value, discrepancy, reconciled_at
+                ) VALUES ($1, $2, $3, $4, NOW())`,
+                [campaignId, dbAmountRaised, chainAmountRaised, discrepancy]
+              );
+            });
             
-            updatedCount++;
+            discrepancyCount++;
+            discrepancies.push({ campaignId, discrepancy, dbValue: dbAmountRaised, chainValue: chainAmountRaised });
             return {
               campaignId,
-              status: 'updated',
+              status: 'discrepancy',
               discrepancy,
               dbValue: dbAmountRaised,
               chainValue: chainAmountRaised
@@ -142,11 +146,13 @@ async function reconcileCampaigns() {
       }
     }
     
-    logger.info(`Reconciliation completed: ${updatedCount} updated, ${matchCount} matched, ${errorCount} errors`);
+    logger.info(`Reconciliation completed: ${discrepancyCount} discrepancies, ${matchCount} matched, ${errorCount} errors`);
+    
+    await alerts.checkReconciliationDrift(discrepancies);
     
     return {
       total: dbCampaigns.rows.length,
-      updated: updatedCount,
+      discrepancies: discrepancyCount,
       matched: matchCount,
       errors: errorCount
     };
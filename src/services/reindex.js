@@ -0,0 +1,225 @@
+// src/services/reindex.js
+const db = require('../db');
+const { NETWORKS, providers, indexNetworkChunk, matchCrossChainDonations, getLogRange, canRetrySmaller, restoreCampaignDetails } = require('./blockchain');
+const { removeBlockRange } = require('./reorg');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('reindex');
+
+// Tables with rows derived from a block range, compared before and after a reindex
+const RANGE_TABLES = [
+  { table: 'campaigns', chainColumn: 'chain', blockColumn: 'block_number', key: 'id' },
+  { table: 'donations', chainColumn: 'chain', blockColumn: 'block_number', key: "tx_hash || ':' || log_index" },
+  { table: 'transactions', chainColumn: 'chain', blockColumn: 'block_number', key: "tx_hash || ':' || log_index" },
+  { table: 'withdrawals', chainColumn: 'chain', blockColumn: 'block_number', key: 'id' },
+  { table: 'cross_chain_donations', chainColumn: 'source_chain', blockColumn: 'source_block_number', key: 'donation_id' },
+  { table: 'protocol_settings_history', chainColumn: 'chain', blockColumn: 'block_number', key: "tx_hash || ':' || log_index" },
+  { table: 'username_changes', chainColumn: 'chain', blockColumn: 'block_number', key: 'tx_hash' }
+];
+
+// Columns that differ on every replay (serial ids, write times) or are only filled in
+// after the reindex commits (cross-chain delivery matching)
+const IGNORED_COLUMNS = ['id', 'updated_at', 'relay_status', 'main_donation_id', 'main_tx_hash', 'delivered_at'];
+
+// Thrown inside the transaction to roll a dry run back
+class DryRunRollback extends Error {
+  constructor(summary) {
+    super('Dry run rolled back');
+    this.summary = summary;
+  }
+}
+
+// Rows of every range table keyed by their event key, plus the totals of every
+// campaign the range's donations refer to
+async function snapshotRange(client, network, fromBlock, toBlock) {
+  const tables = {};
+
+  for (const { table, chainColumn, blockColumn, key } of RANGE_TABLES) {
+    const result = await client.query(
+      `SELECT ${key} AS key, (to_jsonb(t) - $4::text[])::text AS row
+       FROM ${table} t
+       WHERE ${chainColumn} = $1 AND ${blockColumn} BETWEEN $2 AND $3`,
+      [network, fromBlock, toBlock, IGNORED_COLUMNS]
+    );
+    tables[table] = new Map(result.rows.map(row => [row.key, row.row]));
+  }
+
+  const totals = await client.query(
+    `SELECT id, amount_raised, donation_count, donor_count, ended FROM campaigns
+     WHERE id IN (
+       SELECT campaign_id FROM donations WHERE chain = $1 AND block_number BETWEEN $2 AND $3
+     ) OR (chain = $1 AND (block_number BETWEEN $2 AND $3 OR ended_block_number BETWEEN $2 AND $3))`,
+    [network, fromBlock, toBlock]
+  );
+
+  return {
+    tables,
+    campaignTotals: new Map(totals.rows.map(row => [row.id, {
+      amountRaised: row.amount_raised,
+      donationCount: row.donation_count,
+      donorCount: row.donor_count,
+      ended: row.ended
+    }]))
+  };
+}
+
+// What a reindex changed: rows added, removed or changed per table, and campaign totals that moved
+function diffSnapshots(before, after) {
+  const tables = {};
+
+  for (const { table } of RANGE_TABLES) {
+    const old = before.tables[table];
+    const current = after.tables[table];
+
+    tables[table] = {
+      before: old.size,
+      after: current.size,
+      added: [...current.keys()].filter(key => !old.has(key)),
+      removed: [...old.keys()].filter(key => !current.has(key)),
+      changed: [...current.keys()].filter(key => old.has(key) && old.get(key) !== current.get(key))
+    };
+  }
+
+  const campaignIds = new Set([...before.campaignTotals.keys(), ...after.campaignTotals.keys()]);
+  const campaignTotals = [];
+
+  for (const id of campaignIds) {
+    const old = before.campaignTotals.get(id) || null;
+    const current = after.campaignTotals.get(id) || null;
+    if (JSON.stringify(old) !== JSON.stringify(current)) {
+      campaignTotals.push({ id, before: old, after: current });
+    }
+  }
+
+  return { tables, campaignTotals };
+}
+
+// Replayed rows start unconfirmed; rows the worker had already confirmed stay confirmed
+async function restoreConfirmations(client, network, fromBlock, toBlock) {
+  const state = await client.query(
+    'SELECT finalized_block FROM indexer_state WHERE chain = $1',
+    [network]
+  );
+  const finalizedBlock = state.rows.length > 0 && state.rows[0].finalized_block !== null ?
+    parseInt(state.rows[0].finalized_block) :
+    null;
+
+  if (finalizedBlock === null || finalizedBlock < fromBlock) return;
+
+  const lastBlock = Math.min(toBlock, finalizedBlock);
+  for (const { table, chainColumn, blockColumn } of RANGE_TABLES) {
+    await client.query(
+      `UPDATE ${table} SET confirmed = TRUE
+       WHERE ${chainColumn} = $1 AND confirmed = FALSE AND ${blockColumn} BETWEEN $2 AND $3`,
+      [network, fromBlock, lastBlock]
+    );
+  }
+}
+
+/**
+ * Delete every row derived from a block range and index the range again, in one
+ * transaction, so readers see either the old or the new rows. Campaign totals follow
+ * the donations ledger as rows are removed and replayed.
+ * @param {string} network - Network name
+ * @param {number} fromBlock - First block to reindex
+ * @param {number} toBlock - Last block to reindex (must already be indexed)
+ * @param {Object} options - dryRun to roll everything back and only report the changes
+ * @returns {Object} - { network, fromBlock, toBlock, dryRun, removed, changes }
+ */
+async function reindexRange(network, fromBlock, toBlock, options = {}) {
+  const dryRun = options.dryRun === true;
+
+  if (!NETWORKS[network]) {
+    throw new Error(`Unknown or disabled network "${network}" (available: ${Object.keys(NETWORKS).join(', ')})`);
+  }
+  if (!(network in providers)) {
+    throw new Error(`No RPC provider configured for ${network}`);
+  }
+  if (!Number.isInteger(fromBlock) || !Number.isInteger(toBlock) || fromBlock < 0 || toBlock < fromBlock) {
+    throw new Error(`Invalid block range ${fromBlock}-${toBlock}`);
+  }
+
+  const state = await db.query(
+    'SELECT last_indexed_block FROM indexer_state WHERE chain = $1',
+    [network]
+  );
+  const lastIndexedBlock = state.rows.length > 0 ? parseInt(state.rows[0].last_indexed_block) : null;
+  if (lastIndexedBlock === null || toBlock > lastIndexedBlock) {
+    throw new Error(`${network} is only indexed up to block ${lastIndexedBlock}; blocks after it are left to the worker`);
+  }
+
+  logger.info(`${dryRun ? 'Dry run of reindexing' : 'Reindexing'} ${network} blocks ${fromBlock}-${toBlock}`);
+
+  try {
+    const summary = await db.withTransaction(async (client) => {
+      const before = await snapshotRange(client, network, fromBlock, toBlock);
+      const { campaignsKept, campaignDetailsReverted, ...removed } = await removeBlockRange(client, network, fromBlock, toBlock);
+      if (campaignDetailsReverted.length > 0) {
+        removed.campaignDetailsRestored = await restoreCampaignDetails(client, network, campaignDetailsReverted, fromBlock - 1);
+      }
+
+      // Replay the range in chunks the endpoints accept. A savepoint per chunk lets a
+      // chunk rejected for its size be retried at the halved limit.
+      let lastProcessedBlock = fromBlock - 1;
+      while (lastProcessedBlock < toBlock) {
+        const chunkFrom = lastProcessedBlock + 1;
+        const chunkTo = Math.min(chunkFrom + getLogRange(network) - 1, toBlock);
+
+        await client.query('SAVEPOINT reindex_chunk');
+        try {
+          lastProcessedBlock = await indexNetworkChunk(network, chunkFrom, chunkTo, {
+            advanceCursor: false,
+            client
+          });
+          await client.query('RELEASE SAVEPOINT reindex_chunk');
+        } catch (error) {
+          await client.query('ROLLBACK TO SAVEPOINT reindex_chunk');
+          if (!canRetrySmaller(network, error, chunkTo - chunkFrom + 1)) {
+            throw error;
+          }
+          logger.warn(`Retrying ${network} from block ${chunkFrom} with a ${getLogRange(network)} block range`);
+        }
+      }
+
+      await restoreConfirmations(client, network, fromBlock, toBlock);
+
+      const after = await snapshotRange(client, network, fromBlock, toBlock);
+      const result = {
+        network,
+        fromBlock,
+        toBlock,
+        dryRun,
+        removed: { ...removed, campaignsKept: campaignsKept.length },
+        changes: diffSnapshots(before, after)
+      };
+
+      if (dryRun) {
+        throw new DryRunRollback(result);
+      }
+
+      return result;
+    });
+
+    // Remote donations delivered by replayed main chain donations are matched again
+    await matchCrossChainDonations();
+
+    logger.info(`Reindexed ${network} blocks ${fromBlock}-${toBlock}`, summary.removed);
+
+    return summary;
+  } catch (error) {
+    if (error instanceof DryRunRollback) {
+      return error.summary;
+    }
+
+    logger.error(`Failed to reindex ${network} blocks ${fromBlock}-${toBlock}`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw error;
+  }
+}
+
+module.exports = {
+  reindexRange
+};
@@ -0,0 +1,346 @@
+// src/services/reorg.js
+const db = require('../db');
+const { refreshCampaignTotals } = require('./campaignTotals');
+const { createLogger } = require('./logger');
+
+const logger = createLogger('reorg');
+
+// Constants
+const MAX_ANCESTOR_CHECKS = 50; // Stored checkpoints to walk back through before falling back
+const MIN_FALLBACK_DEPTH = 64; // Blocks rolled back at least when no stored hash matches
+const BLOCK_HASH_RETENTION = 50000; // Blocks of hash history to keep per chain
+
+/**
+ * Store the hashes of processed blocks so later batches can be checked against them
+ * @param {string} network - Network name
+ * @param {Array<Object>} blocks - Blocks with number, hash and parentHash
+ * @param {Object} client - Database client of the surrounding transaction
+ */
+async function recordBlockHashes(network, blocks, client = db) {
+  if (blocks.length === 0) return;
+
+  const params = [];
+  const queryParts = [];
+
+  blocks.forEach((block, i) => {
+    const offset = i * 4; // 4 params per row
+    queryParts.push(`($${offset+1}, $${offset+2}, $${offset+3}, $${offset+4}, NOW())`);
+    params.push(network, block.number, block.hash, block.parentHash);
+  });
+
+  await client.query(
+    `INSERT INTO block_hashes (
+      chain, block_number, block_hash, parent_hash, recorded_at
+    ) VALUES ${queryParts.join(', ')}
+    ON CONFLICT (chain, block_number) DO UPDATE SET
+      block_hash = EXCLUDED.block_hash,
+      parent_hash = EXCLUDED.parent_hash,
+      recorded_at = NOW()`,
+    params
+  );
+
+  // Prune history that is too old to be affected by a reorg
+  const latestBlock = Math.max(...blocks.map(block => block.number));
+  await client.query(
+    'DELETE FROM block_hashes WHERE chain = $1 AND block_number < $2',
+    [network, latestBlock - BLOCK_HASH_RETENTION]
+  );
+}
+
+/**
+ * Walk back through stored block hashes until one matches the canonical chain.
+ * A matching hash implies every earlier block is canonical as well. When none of the
+ * checked hashes match, the ancestor is taken to be maxDepth blocks back (and below
+ * every checked block), so the indexer rolls back a bounded range instead of stalling.
+ * @param {string} network - Network name
+ * @param {Function} fetchBlock - Async function returning the canonical block for a number
+ * @param {number} belowBlock - Only consider stored blocks below this number
+ * @param {number} maxDepth - Deepest reorg the network is expected to have (its confirmation depth)
+ * @returns {number} - The highest block number still on the canonical chain
+ */
+async function findCommonAncestor(network, fetchBlock, belowBlock, maxDepth = 0) {
+  const stored = await db.query(
+    `SELECT block_number, block_hash FROM block_hashes
+     WHERE chain = $1 AND block_number < $2
+     ORDER BY block_number DESC
+     LIMIT $3`,
+    [network, belowBlock, MAX_ANCESTOR_CHECKS]
+  );
+
+  for (const row of stored.rows) {
+    const blockNumber = parseInt(row.block_number);
+    const block = await fetchBlock(blockNumber);
+
+    if (block && block.hash === row.block_hash) {
+      return blockNumber;
+    }
+
+    logger.debug(`${network}: block ${blockNumber} hash diverged from stored value`);
+  }
+
+  const lowestChecked = stored.rows.length > 0 ?
+    parseInt(stored.rows[stored.rows.length - 1].block_number) :
+    belowBlock;
+  const fallbackBlock = Math.max(0, Math.min(
+    lowestChecked - 1,
+    belowBlock - 1 - Math.max(maxDepth, MIN_FALLBACK_DEPTH)
+  ));
+
+  logger.error(`No common ancestor found for ${network} within ${stored.rows.length} stored blocks below ${belowBlock}, rolling back to block ${fallbackBlock}`);
+
+  return fallbackBlock;
+}
+
+/**
+ * Check whether the first block of a new batch still builds on the last indexed block
+ * @param {string} network - Network name
+ * @param {Function} fetchBlock - Async function returning the canonical block for a number
+ * @param {number} fromBlock - First block of the batch about to be indexed
+ * @param {number} maxDepth - Deepest reorg the network is expected to have, bounding the fallback rollback
+ * @returns {number|null} - Common ancestor block if a reorg was detected, otherwise null
+ */
+async function detectReorg(network, fetchBlock, fromBlock, maxDepth = 0) {
+  const parent = await db.query(
+    'SELECT block_hash FROM block_hashes WHERE chain = $1 AND block_number = $2',
+    [network, fromBlock - 1]
+  );
+
+  // Nothing recorded for the parent (first run or after a jump), nothing to compare
+  if (parent.rows.length === 0) {
+    return null;
+  }
+
+  const block = await fetchBlock(fromBlock);
+  if (!block || block.parentHash === parent.rows[0].block_hash) {
+    return null;
+  }
+
+  logger.warn(`Reorg detected on ${network} at block ${fromBlock}`, {
+    storedParentHash: parent.rows[0].block_hash,
+    chainParentHash: block.parentHash
+  });
+
+  return findCommonAncestor(network, fetchBlock, fromBlock, maxDepth);
+}
+
+/**
+ * Remove every row derived from a block range, inside the caller's transaction.
+ * Rows whose later lifecycle events fall after the range (a withdrawal processed, a
+ * remote donation relayed, a campaign ended or donated to afterwards) are kept.
+ * @param {Object} client - Database client of the surrounding transaction
+ * @param {string} network - Network name
+ * @param {number} fromBlock - First block to remove
+ * @param {number|null} toBlock - Last block to remove (null for everything from fromBlock on)
+ * @returns {Object} - Row counts per change, ids of campaigns kept because of dependents,
+ *   and ids of campaigns whose details have to be re-read from before the range
+ */
+async function removeBlockRange(client, network, fromBlock, toBlock = null) {
+  const params = [network, fromBlock, toBlock];
+  const inRange = column => `${column} >= $2 AND ($3::bigint IS NULL OR ${column} <= $3)`;
+  const afterRange = column => `($3::bigint IS NOT NULL AND ${column} > $3)`;
+
+  // Campaigns whose totals lose the removed donations
+  const donated = await client.query(
+    `SELECT DISTINCT campaign_id FROM donations WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  // Cross-chain donations delivered by removed donations wait for a new match
+  await client.query(
+    `UPDATE cross_chain_donations SET
+      relay_status = CASE WHEN relay_tx_hash IS NULL THEN 'pending' ELSE 'relayed' END,
+      main_donation_id = NULL,
+      main_tx_hash = NULL,
+      delivered_at = NULL
+    WHERE main_donation_id IN (
+      SELECT id FROM donations WHERE chain = $1 AND ${inRange('block_number')}
+    )`,
+    params
+  );
+
+  const donations = await client.query(
+    `DELETE FROM donations WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  const adjusted = await refreshCampaignTotals(client, donated.rows.map(row => row.campaign_id));
+
+  const transactions = await client.query(
+    `DELETE FROM transactions WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  // Withdrawals processed in the range go back to the requested state
+  const unprocessed = await client.query(
+    `UPDATE withdrawals SET
+      status = 'Requested',
+      processed_timestamp = NULL,
+      processed_tx_hash = NULL,
+      processed_block_number = NULL
+    WHERE chain = $1 AND ${inRange('processed_block_number')}`,
+    params
+  );
+
+  const withdrawals = await client.query(
+    `DELETE FROM withdrawals
+    WHERE chain = $1 AND ${inRange('block_number')}
+      AND NOT ${afterRange('COALESCE(processed_block_number, 0)')}`,
+    params
+  );
+
+  // Campaigns ended in the range are reopened
+  const reopened = await client.query(
+    `UPDATE campaigns SET
+      ended = FALSE,
+      final_amount = NULL,
+      ended_block_number = NULL,
+      updated_at = NOW()
+    WHERE chain = $1 AND ${inRange('ended_block_number')}`,
+    params
+  );
+
+  // Campaigns created in the range are removed unless other records
+  // (such as a generated direct donation wallet) already depend on them
+  const campaigns = await client.query(
+    `DELETE FROM campaigns c
+    WHERE c.chain = $1 AND ${inRange('c.block_number')}
+      AND NOT ${afterRange('COALESCE(c.ended_block_number, 0)')}
+      AND NOT EXISTS (SELECT 1 FROM donations d WHERE d.campaign_id = c.id)
+      AND NOT EXISTS (SELECT 1 FROM campaign_wallets w WHERE w.campaign_id = c.id)
+      AND NOT EXISTS (SELECT 1 FROM direct_donations dd WHERE dd.campaign_id = c.id)
+      AND NOT EXISTS (SELECT 1 FROM reconciliation_log r WHERE r.campaign_id = c.id)
+    RETURNING c.id`,
+    params
+  );
+
+  const kept = await client.query(
+    `SELECT id FROM campaigns WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  // Campaigns whose details came from an edit in the range go back to their last edit
+  // (or creation) before it; the caller re-reads the details at that point
+  const detailsReverted = await client.query(
+    `UPDATE campaigns c SET
+      (details_block_number, details_log_index) = (
+        SELECT e.block_number, e.log_index FROM (
+          SELECT t.block_number, t.log_index FROM transactions t
+          WHERE t.campaign_id = c.id AND t.type = 'Campaign Edited' AND t.block_number < $2
+          UNION ALL
+          SELECT c.block_number, c.log_index
+        ) e
+        ORDER BY e.block_number DESC NULLS LAST, e.log_index DESC NULLS LAST
+        LIMIT 1
+      ),
+      updated_at = NOW()
+    WHERE c.chain = $1 AND ${inRange('c.details_block_number')}
+    RETURNING c.id`,
+    params
+  );
+
+  // Remote chain donations and relays from the range
+  await client.query(
+    `UPDATE cross_chain_donations SET
+      relay_status = CASE WHEN relay_status = 'relayed' THEN 'pending' ELSE relay_status END,
+      dst_eid = NULL,
+      dst_chain = NULL,
+      relay_tx_hash = NULL,
+      relay_block_number = NULL,
+      relayed_at = NULL
+    WHERE source_chain = $1 AND ${inRange('relay_block_number')}`,
+    params
+  );
+
+  const crossChainDonations = await client.query(
+    `DELETE FROM cross_chain_donations
+    WHERE source_chain = $1 AND ${inRange('source_block_number')}
+      AND NOT ${afterRange('COALESCE(relay_block_number, 0)')}`,
+    params
+  );
+
+  const protocolSettings = await client.query(
+    `DELETE FROM protocol_settings_history WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  const usernameChanges = await client.query(
+    `DELETE FROM username_changes WHERE chain = $1 AND ${inRange('block_number')}`,
+    params
+  );
+
+  return {
+    campaignsAdjusted: adjusted,
+    donationsRemoved: donations.rowCount,
+    transactionsRemoved: transactions.rowCount,
+    withdrawalsReverted: unprocessed.rowCount,
+    withdrawalsRemoved: withdrawals.rowCount,
+    campaignsReopened: reopened.rowCount,
+    campaignsRemoved: campaigns.rowCount,
+    campaignsKept: kept.rows.map(row => row.id),
+    campaignDetailsReverted: detailsReverted.rows.map(row => row.id),
+    crossChainDonationsRemoved: crossChainDonations.rowCount,
+    protocolSettingsRemoved: protocolSettings.rowCount,
+    usernameChangesRemoved: usernameChanges.rowCount
+  };
+}
+
+/**
+ * Remove every row derived from blocks after the common ancestor and rewind the cursor
+ * @param {string} network - Network name
+ * @param {number} ancestorBlock - Last block that is still canonical
+ * @param {Function} restoreCampaignDetails - Async (client, campaignIds) rewriting campaign
+ *   details as they were at the ancestor block, for campaigns edited in orphaned blocks
+ */
+async function rollbackToBlock(network, ancestorBlock, restoreCampaignDetails) {
+  logger.warn(`Rolling back ${network} to block ${ancestorBlock}`);
+
+  try {
+    const summary = await db.withTransaction(async (client) => {
+      const { campaignsKept, campaignDetailsReverted, ...removed } = await removeBlockRange(client, network, ancestorBlock + 1);
+
+      if (campaignsKept.length > 0) {
+        logger.warn(`Kept ${campaignsKept.length} orphaned campaigns on ${network} that have dependent records`, {
+          campaignIds: campaignsKept
+        });
+      }
+
+      if (campaignDetailsReverted.length > 0) {
+        removed.campaignDetailsRestored = await restoreCampaignDetails(client, campaignDetailsReverted);
+      }
+
+      await client.query(
+        'DELETE FROM block_hashes WHERE chain = $1 AND block_number > $2',
+        [network, ancestorBlock]
+      );
+
+      await client.query(
+        `UPDATE indexer_state SET
+          last_indexed_block = $1,
+          updated_at = NOW()
+        WHERE chain = $2`,
+        [ancestorBlock, network]
+      );
+
+      return removed;
+    });
+
+    logger.warn(`Rollback of ${network} to block ${ancestorBlock} completed`, summary);
+
+    return summary;
+  } catch (error) {
+    logger.error(`Failed to roll back ${network} to block ${ancestorBlock}`, {
+      error: error.message,
+      stack: error.stack
+    });
+
+    throw error;
+  }
+}
+
+module.exports = {
+  recordBlockHashes,
+  detectReorg,
+  findCommonAncestor,
+  removeBlockRange,
+  rollbackToBlock
+};
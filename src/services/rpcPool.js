@@ -0,0 +1,449 @@
+// src/services/rpcPool.js
+const ethers = require('ethers');
+const { createCounter, createHistogram } = require('./metrics');
+const { createLogger, redactUrls } = require('./logger');
+
+const logger = createLogger('rpc-pool');
+
+// Constants
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the latency average
+const ERROR_WINDOW = 50; // Recent requests used for the error rate
+const MAX_CONSECUTIVE_FAILURES = 3; // Failures in a row before an endpoint is ejected
+const EJECTION_MS = parseInt(process.env.RPC_EJECTION_MS) || 60000; // How long an ejected endpoint sits out
+const MAX_BLOCK_LAG = parseInt(process.env.RPC_MAX_BLOCK_LAG) || 50; // Blocks behind the best head before ejection
+const HEAD_CHECK_TIMEOUT_MS = 5000; // Per-endpoint timeout when polling block heights
+const VERIFY_RETRY_MS = 30000; // Wait before asking an unreachable endpoint for its chain id again
+
+// eth_getLogs range sizing
+const MIN_LOG_RANGE = 10; // Never split log queries below this many blocks
+const RANGE_GROWTH_SUCCESSES = 5; // Successful queries at the limit before it grows
+const RANGE_GROWTH_FACTOR = 1.5;
+
+// Provider messages for log queries that cover too many blocks or return too many logs
+const RANGE_LIMIT_PATTERNS = [
+  /more than \d+ results/i,
+  /block range (is )?too (large|wide|big)/i,
+  /range (is )?too large/i,
+  /exceed(s|ed)? (the )?(max(imum)? )?(block )?range/i,
+  /response size (exceeded|is larger)/i,
+  /too many (blocks|logs|results)/i,
+  /limited to (a )?\d+ ?(-| )?block/i
+];
+
+// Metrics
+const rpcRequests = createCounter('fundit_rpc_requests_total', 'RPC requests per endpoint', ['network', 'endpoint']);
+const rpcErrors = createCounter('fundit_rpc_errors_total', 'Failed RPC requests per endpoint', ['network', 'endpoint']);
+const rpcLatency = createHistogram('fundit_rpc_request_duration_seconds', 'Latency of answered RPC requests per endpoint', ['network', 'endpoint']);
+
+// Score weights (lower score is better)
+const DEFAULT_LATENCY_MS = 500; // Assumed latency before an endpoint has been measured
+const ERROR_RATE_PENALTY_MS = 5000; // Added per 100% error rate
+const BLOCK_LAG_PENALTY_MS = 100; // Added per block behind the best head
+
+// Host-only label so API keys embedded in URLs never reach logs or status output
+function endpointLabel(url, index, urls) {
+  let host;
+  try {
+    host = new URL(url).host;
+  } catch (error) {
+    host = `rpc${index + 1}`;
+  }
+
+  const duplicate = urls.slice(0, index).some(other => {
+    try {
+      return new URL(other).host === host;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  return duplicate ? `${host}#${index + 1}` : host;
+}
+
+// Whether an error means a log query asked for too many blocks or results
+function isRangeLimitError(error) {
+  const messages = [
+    error.message,
+    error.shortMessage,
+    error.error && error.error.message,
+    error.info && error.info.error && error.info.error.message
+  ].filter(Boolean);
+
+  return messages.some(message => RANGE_LIMIT_PATTERNS.some(pattern => pattern.test(message)));
+}
+
+// Errors caused by the request itself, which every endpoint would reject the same way
+function isRequestError(error) {
+  if (['CALL_EXCEPTION', 'INVALID_ARGUMENT', 'NUMERIC_FAULT'].includes(error.code)) {
+    return true;
+  }
+
+  const rpcError = error.error || (error.info && error.info.error);
+  return Boolean(rpcError && [-32600, -32602].includes(rpcError.code));
+}
+
+function withTimeout(promise, ms, name) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${name} timed out after ${ms}ms`)), ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a health-scored pool of RPC endpoints for one network
+ * @param {string} network - Network name
+ * @param {Array<string>} urls - RPC URLs, in order of preference
+ * @param {Object} options - chainId the endpoints must serve, contractAddress and abi used
+ *   to build a contract per endpoint, maxLogRange as the starting (and largest) eth_getLogs block range
+ * @returns {Object} - Pool with select/record/checkHeads/getStatus
+ */
+function createRpcPool(network, urls, options) {
+  const endpoints = urls.map((url, index) => {
+    // The chain id comes from the registry, so skip ethers' network detection and verify it ourselves
+    const provider = new ethers.JsonRpcProvider(url, options.chainId, { staticNetwork: true });
+
+    return {
+      index,
+      label: endpointLabel(url, index, urls),
+      provider,
+      contract: new ethers.Contract(options.contractAddress, options.abi, provider),
+      latencyMs: null,
+      recentResults: [],
+      consecutiveFailures: 0,
+      requests: 0,
+      failures: 0,
+      lastError: null,
+      lastErrorAt: null,
+      blockNumber: null,
+      blockLag: 0,
+      lastHeadCheck: null,
+      ejectedUntil: null,
+      ejectionReason: null,
+      logRange: options.maxLogRange,
+      rangeSuccesses: 0,
+      chainVerified: false,
+      lastVerifyAttempt: null,
+      disabledReason: null
+    };
+  });
+
+  // Endpoints serving the wrong chain are never used again
+  function usable() {
+    return endpoints.filter(endpoint => endpoint.disabledReason === null);
+  }
+
+  // Requests only go to endpoints whose chain id has been checked
+  function verified() {
+    return usable().filter(endpoint => endpoint.chainVerified);
+  }
+
+  function isEjected(endpoint) {
+    return endpoint.ejectedUntil !== null && Date.now() < endpoint.ejectedUntil;
+  }
+
+  function errorRate(endpoint) {
+    if (endpoint.recentResults.length === 0) return 0;
+    const failed = endpoint.recentResults.filter(ok => !ok).length;
+    return failed / endpoint.recentResults.length;
+  }
+
+  function score(endpoint) {
+    const latency = endpoint.latencyMs === null ? DEFAULT_LATENCY_MS : endpoint.latencyMs;
+    return latency +
+      errorRate(endpoint) * ERROR_RATE_PENALTY_MS +
+      Math.max(0, endpoint.blockLag) * BLOCK_LAG_PENALTY_MS;
+  }
+
+  function eject(endpoint, reason) {
+    if (!isEjected(endpoint)) {
+      logger.warn(`Ejected ${network} RPC ${endpoint.label} for ${EJECTION_MS}ms`, { reason });
+    }
+
+    endpoint.ejectedUntil = Date.now() + EJECTION_MS;
+    endpoint.ejectionReason = reason;
+  }
+
+  function recordResult(endpoint, ok, latencyMs) {
+    const labels = { network, endpoint: endpoint.label };
+    rpcRequests.inc(labels);
+    if (!ok) {
+      rpcErrors.inc(labels);
+    }
+
+    endpoint.requests++;
+    endpoint.recentResults.push(ok);
+    if (endpoint.recentResults.length > ERROR_WINDOW) {
+      endpoint.recentResults.shift();
+    }
+
+    if (latencyMs !== undefined) {
+      rpcLatency.observe(labels, latencyMs / 1000);
+      endpoint.latencyMs = endpoint.latencyMs === null ?
+        latencyMs :
+        Math.round(endpoint.latencyMs * (1 - LATENCY_SMOOTHING) + latencyMs * LATENCY_SMOOTHING);
+    }
+  }
+
+  /**
+   * Pick the best-scoring verified endpoint that is not excluded.
+   * Ejected endpoints are only used when nothing else is left, and for log
+   * queries endpoints known to accept the block range are preferred.
+   * @param {Set<number>} exclude - Endpoint indexes already tried
+   * @param {number} blockRange - Block range of a log query, if any
+   * @returns {Object|null}
+   */
+  function select(exclude = new Set(), blockRange = 0) {
+    const candidates = verified().filter(endpoint => !exclude.has(endpoint.index));
+    if (candidates.length === 0) return null;
+
+    const healthy = candidates.filter(endpoint => !isEjected(endpoint));
+    let pool = healthy.length > 0 ? healthy : candidates;
+
+    const capable = pool.filter(endpoint => endpoint.logRange >= blockRange);
+    if (capable.length > 0) {
+      pool = capable;
+    }
+
+    return pool.reduce((best, endpoint) => (score(endpoint) < score(best) ? endpoint : best));
+  }
+
+  // Whether an endpoint not yet tried is expected to accept the block range
+  function canServeRange(exclude, blockRange) {
+    return verified().some(endpoint => !exclude.has(endpoint.index) && endpoint.logRange >= blockRange);
+  }
+
+  // Largest log query range a healthy endpoint currently accepts. Only endpoints
+  // select() can pick count, so an unverified endpoint cannot keep chunks too large
+  // for every endpoint that actually serves them.
+  function getLogRange() {
+    const candidates = verified().length > 0 ? verified() : usable();
+    const healthy = candidates.filter(endpoint => !isEjected(endpoint));
+    const pool = healthy.length > 0 ? healthy : candidates;
+    if (pool.length === 0) return MIN_LOG_RANGE;
+    return Math.max(...pool.map(endpoint => endpoint.logRange));
+  }
+
+  /**
+   * Halve an endpoint's log range after it rejected a query for its size
+   * @returns {boolean} - False when the range cannot be split any further
+   */
+  function recordRangeLimit(endpoint, blockRange) {
+    if (blockRange <= MIN_LOG_RANGE) {
+      return false;
+    }
+
+    const limit = Math.max(MIN_LOG_RANGE, Math.floor(blockRange / 2));
+    endpoint.rangeSuccesses = 0;
+
+    if (limit < endpoint.logRange) {
+      logger.warn(`${network} RPC ${endpoint.label} rejected a ${blockRange} block log query, limiting to ${limit}`);
+      endpoint.logRange = limit;
+    }
+
+    return true;
+  }
+
+  // Grow an endpoint's log range again after enough queries succeeded at its limit
+  function recordRangeSuccess(endpoint, blockRange) {
+    if (blockRange < endpoint.logRange || endpoint.logRange >= options.maxLogRange) {
+      return;
+    }
+
+    endpoint.rangeSuccesses++;
+    if (endpoint.rangeSuccesses >= RANGE_GROWTH_SUCCESSES) {
+      endpoint.logRange = Math.min(options.maxLogRange, Math.ceil(endpoint.logRange * RANGE_GROWTH_FACTOR));
+      endpoint.rangeSuccesses = 0;
+      logger.info(`${network} RPC ${endpoint.label} log range grown to ${endpoint.logRange}`);
+    }
+  }
+
+  // Restore a learned log range (e.g. saved by a previous run)
+  function setLogRange(label, logRange) {
+    const endpoint = endpoints.find(candidate => candidate.label === label);
+    if (endpoint && logRange) {
+      endpoint.logRange = Math.max(MIN_LOG_RANGE, Math.min(options.maxLogRange, logRange));
+    }
+  }
+
+  function recordSuccess(endpoint, latencyMs) {
+    recordResult(endpoint, true, latencyMs);
+    endpoint.consecutiveFailures = 0;
+
+    // A stuck endpoint is only readmitted by the head check
+    if (endpoint.ejectionReason && !isEjected(endpoint) && endpoint.blockLag <= MAX_BLOCK_LAG) {
+      logger.info(`${network} RPC ${endpoint.label} is healthy again`);
+      endpoint.ejectionReason = null;
+      endpoint.ejectedUntil = null;
+    }
+  }
+
+  function recordFailure(endpoint, error) {
+    const message = redactUrls(error.shortMessage || error.message);
+
+    recordResult(endpoint, false);
+    endpoint.failures++;
+    endpoint.consecutiveFailures++;
+    endpoint.lastError = message;
+    endpoint.lastErrorAt = new Date();
+
+    if (endpoint.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+      eject(endpoint, `${endpoint.consecutiveFailures} consecutive failures: ${message}`);
+    }
+  }
+
+  // Round of chain id checks in progress, shared by concurrent callers
+  let verifying = null;
+
+  /**
+   * Check each endpoint's eth_chainId against the configured chain id and
+   * permanently disable endpoints that serve a different chain.
+   * Endpoints that could not be reached are asked again once VERIFY_RETRY_MS has passed.
+   * @returns {number} - Endpoints verified to serve the configured chain
+   */
+  async function verifyChainId() {
+    const pending = endpoints.filter(endpoint =>
+      !endpoint.chainVerified && !endpoint.disabledReason &&
+      (endpoint.lastVerifyAttempt === null || Date.now() - endpoint.lastVerifyAttempt >= VERIFY_RETRY_MS)
+    );
+
+    if (pending.length > 0 && !verifying) {
+      verifying = Promise.all(pending.map(verifyEndpoint)).finally(() => {
+        verifying = null;
+      });
+    }
+    if (verifying) {
+      await verifying;
+    }
+
+    return checkVerified();
+  }
+
+  async function verifyEndpoint(endpoint) {
+    const start = Date.now();
+    endpoint.lastVerifyAttempt = start;
+
+    try {
+      const chainId = Number(await withTimeout(
+        endpoint.provider.send('eth_chainId', []),
+        HEAD_CHECK_TIMEOUT_MS,
+        `${network} ${endpoint.label} eth_chainId`
+      ));
+      recordSuccess(endpoint, Date.now() - start);
+
+      if (chainId === options.chainId) {
+        endpoint.chainVerified = true;
+      } else {
+        endpoint.disabledReason = `serves chain id ${chainId}, expected ${options.chainId}`;
+        logger.error(`Disabled ${network} RPC ${endpoint.label}: ${endpoint.disabledReason}`);
+      }
+    } catch (error) {
+      recordFailure(endpoint, error);
+    }
+  }
+
+  function checkVerified() {
+    if (usable().length === 0) {
+      throw new Error(`No ${network} RPC endpoint serves chain id ${options.chainId}`);
+    }
+
+    const count = verified().length;
+    if (count === 0) {
+      throw new Error(`No ${network} RPC endpoint could be verified to serve chain id ${options.chainId}`);
+    }
+
+    return count;
+  }
+
+  /**
+   * Poll every endpoint's block height, score the lag against the best head
+   * and eject endpoints stuck too far behind it
+   * @returns {number} - Best block height reported by any endpoint
+   */
+  async function checkHeads() {
+    const results = await Promise.all(verified().map(async (endpoint) => {
+      const start = Date.now();
+      try {
+        const blockNumber = await withTimeout(
+          endpoint.provider.getBlockNumber(),
+          HEAD_CHECK_TIMEOUT_MS,
+          `${network} ${endpoint.label} getBlockNumber`
+        );
+        recordSuccess(endpoint, Date.now() - start);
+        endpoint.blockNumber = blockNumber;
+        endpoint.lastHeadCheck = new Date();
+        return blockNumber;
+      } catch (error) {
+        recordFailure(endpoint, error);
+        return null;
+      }
+    }));
+
+    const heads = results.filter(blockNumber => blockNumber !== null);
+    if (heads.length === 0) {
+      throw new Error(`No ${network} RPC endpoint returned a block number`);
+    }
+
+    const bestHead = Math.max(...heads);
+
+    for (const endpoint of verified()) {
+      if (endpoint.blockNumber === null) continue;
+
+      endpoint.blockLag = bestHead - endpoint.blockNumber;
+      if (endpoint.blockLag > MAX_BLOCK_LAG) {
+        eject(endpoint, `stuck at block ${endpoint.blockNumber}, ${endpoint.blockLag} blocks behind`);
+      } else if (endpoint.ejectionReason && endpoint.ejectionReason.startsWith('stuck')) {
+        logger.info(`${network} RPC ${endpoint.label} caught up to the chain head`);
+        endpoint.ejectionReason = null;
+        endpoint.ejectedUntil = null;
+      }
+    }
+
+    return bestHead;
+  }
+
+  function getStatus() {
+    return endpoints.map(endpoint => ({
+      endpoint: endpoint.label,
+      healthy: endpoint.disabledReason === null && !isEjected(endpoint),
+      score: Math.round(score(endpoint)),
+      latencyMs: endpoint.latencyMs,
+      errorRate: Number(errorRate(endpoint).toFixed(3)),
+      requests: endpoint.requests,
+      failures: endpoint.failures,
+      blockNumber: endpoint.blockNumber,
+      blockLag: endpoint.blockLag,
+      lastHeadCheck: endpoint.lastHeadCheck,
+      lastError: endpoint.lastError,
+      lastErrorAt: endpoint.lastErrorAt,
+      ejectedUntil: isEjected(endpoint) ? new Date(endpoint.ejectedUntil) : null,
+      ejectionReason: endpoint.disabledReason || (isEjected(endpoint) ? endpoint.ejectionReason : null),
+      logRange: endpoint.logRange
+    }));
+  }
+
+  return {
+    network,
+    size: endpoints.length,
+    select,
+    canServeRange,
+    recordSuccess,
+    recordFailure,
+    getLogRange,
+    recordRangeLimit,
+    recordRangeSuccess,
+    setLogRange,
+    verifyChainId,
+    checkHeads,
+    getStatus,
+    getProvider: () => (select() ? select().provider : null),
+    getContract: () => (select() ? select().contract : null)
+  };
+}
+
+module.exports = {
+  isRangeLimitError,
+  isRequestError,
+  createRpcPool
+};
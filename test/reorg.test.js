@@ -0,0 +1,137 @@
+// test/reorg.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const db = require('../src/db');
+const { findCommonAncestor, detectReorg, removeBlockRange } = require('../src/services/reorg');
+
+// Stored block hashes answered from a block number -> hash map, highest first
+function mockBlockHashes(t, stored) {
+  t.mock.method(db, 'query', async (text, params) => {
+    if (/block_number = \$2/.test(text)) {
+      const hash = stored[params[1]];
+      return { rows: hash ? [{ block_hash: hash }] : [] };
+    }
+
+    const rows = Object.keys(stored)
+      .map(Number)
+      .filter(blockNumber => blockNumber < params[1])
+      .sort((a, b) => b - a)
+      .slice(0, params[2])
+      .map(blockNumber => ({ block_number: String(blockNumber), block_hash: stored[blockNumber] }));
+    return { rows };
+  });
+}
+
+// Canonical chain where every block from forkBlock on differs from the stored hashes
+function canonicalChain(forkBlock) {
+  const hash = blockNumber => (blockNumber >= forkBlock ? `0xnew${blockNumber}` : `0x${blockNumber}`);
+  return async blockNumber => ({ number: blockNumber, hash: hash(blockNumber), parentHash: hash(blockNumber - 1) });
+}
+
+function storedHashes(fromBlock, toBlock) {
+  const stored = {};
+  for (let blockNumber = fromBlock; blockNumber <= toBlock; blockNumber++) {
+    stored[blockNumber] = `0x${blockNumber}`;
+  }
+  return stored;
+}
+
+test('finds the highest stored block still on the canonical chain', async (t) => {
+  mockBlockHashes(t, storedHashes(90, 99));
+
+  const ancestor = await findCommonAncestor('testnet', canonicalChain(96), 100, 12);
+
+  assert.strictEqual(ancestor, 95);
+});
+
+test('falls back to a bounded rollback when no stored block matches', async (t) => {
+  mockBlockHashes(t, storedHashes(990, 999));
+
+  // At least MIN_FALLBACK_DEPTH blocks back, and below every checked block
+  assert.strictEqual(await findCommonAncestor('testnet', canonicalChain(0), 1000, 12), 935);
+  assert.strictEqual(await findCommonAncestor('testnet', canonicalChain(0), 1000, 100), 899);
+});
+
+test('falls back below the batch when nothing is stored', async (t) => {
+  mockBlockHashes(t, {});
+
+  assert.strictEqual(await findCommonAncestor('testnet', canonicalChain(0), 1000, 12), 935);
+  assert.strictEqual(await findCommonAncestor('testnet', canonicalChain(0), 20, 12), 0);
+});
+
+test('detects a reorg only when the parent hash changed', async (t) => {
+  mockBlockHashes(t, storedHashes(90, 99));
+
+  assert.strictEqual(await detectReorg('testnet', canonicalChain(200), 100, 12), null);
+  assert.strictEqual(await detectReorg('testnet', canonicalChain(97), 100, 12), 96);
+  assert.strictEqual(await detectReorg('testnet', canonicalChain(97), 200, 12), null);
+});
+
+// Transaction client recording queries, answering them from the first matching pattern
+function fakeClient(responses) {
+  const queries = [];
+
+  return {
+    queries,
+    query: async (text, params) => {
+      queries.push({ text, params });
+      const match = responses.find(([pattern]) => pattern.test(text));
+      return match ? match[1] : { rows: [], rowCount: 0 };
+    }
+  };
+}
+
+test('removes every row derived from the range', async () => {
+  const client = fakeClient([
+    [/SELECT DISTINCT campaign_id FROM donations/, { rows: [{ campaign_id: 'c1' }], rowCount: 1 }],
+    [/DELETE FROM donations/, { rows: [], rowCount: 3 }],
+    [/amount_raised/, { rows: [], rowCount: 1 }],
+    [/DELETE FROM transactions/, { rows: [], rowCount: 4 }],
+    [/DELETE FROM campaigns/, { rows: [{ id: 'c2' }], rowCount: 1 }],
+    [/SELECT id FROM campaigns/, { rows: [{ id: 'c3' }], rowCount: 1 }],
+    [/details_block_number/, { rows: [{ id: 'c1' }, { id: 'c4' }], rowCount: 2 }]
+  ]);
+
+  const removed = await removeBlockRange(client, 'testnet', 100);
+
+  assert.deepStrictEqual(removed, {
+    campaignsAdjusted: 1,
+    donationsRemoved: 3,
+    transactionsRemoved: 4,
+    withdrawalsReverted: 0,
+    withdrawalsRemoved: 0,
+    campaignsReopened: 0,
+    campaignsRemoved: 1,
+    campaignsKept: ['c3'],
+    campaignDetailsReverted: ['c1', 'c4'],
+    crossChainDonationsRemoved: 0,
+    protocolSettingsRemoved: 0,
+    usernameChangesRemoved: 0
+  });
+
+  // Totals are refreshed for the campaigns that lost donations
+  const refresh = client.queries.find(({ text }) => /amount_raised/.test(text));
+  assert.deepStrictEqual(refresh.params, [['c1']]);
+
+  // Everything else is scoped to the chain and an open-ended range
+  for (const { text, params } of client.queries.filter(query => query !== refresh)) {
+    assert.deepStrictEqual(params, ['testnet', 100, null], text);
+  }
+});
+
+test('keeps rows whose later events fall after a bounded range', async () => {
+  const client = fakeClient([]);
+
+  await removeBlockRange(client, 'testnet', 100, 200);
+
+  for (const { params } of client.queries) {
+    assert.deepStrictEqual(params, ['testnet', 100, 200]);
+  }
+
+  const withdrawals = client.queries.find(({ text }) => /DELETE FROM withdrawals/.test(text));
+  assert.match(withdrawals.text, /COALESCE\(processed_block_number, 0\) > \$3/);
+
+  // Details go back to the last edit before the range, not one inside it
+  const details = client.queries.find(({ text }) => /details_block_number/.test(text));
+  assert.match(details.text, /t\.block_number < \$2/);
+});
@@ -0,0 +1,127 @@
+// test/rpcPool.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ethers = require('ethers');
+const { createRpcPool } = require('../src/services/rpcPool');
+
+const CHAIN_ID = 1;
+const MAX_LOG_RANGE = 2000;
+
+// Pool whose endpoints answer eth_chainId by host: wrong.example serves another chain,
+// down.example cannot be reached, every other host serves CHAIN_ID
+async function createPool(t, hosts) {
+  t.mock.method(ethers.JsonRpcProvider.prototype, 'send', async function (method) {
+    const { host } = new URL(this._getConnection().url);
+    if (method !== 'eth_chainId') throw new Error(`unexpected ${method}`);
+    if (host === 'down.example') throw new Error('connection refused');
+    return ethers.toQuantity(host === 'wrong.example' ? 5 : CHAIN_ID);
+  });
+
+  const pool = createRpcPool('testnet', hosts.map(host => `https://${host}`), {
+    chainId: CHAIN_ID,
+    contractAddress: ethers.ZeroAddress,
+    abi: [],
+    maxLogRange: MAX_LOG_RANGE
+  });
+  await pool.verifyChainId();
+
+  return pool;
+}
+
+// Verified endpoint by label, reached through select() so only usable ones are found
+function endpointByLabel(pool, label) {
+  const tried = new Set();
+  for (let endpoint = pool.select(); endpoint; endpoint = pool.select(tried)) {
+    if (endpoint.label === label) return endpoint;
+    tried.add(endpoint.index);
+  }
+  return null;
+}
+
+test('selects only endpoints verified to serve the configured chain', async (t) => {
+  const pool = await createPool(t, ['good.example', 'wrong.example', 'down.example']);
+
+  assert.ok(endpointByLabel(pool, 'good.example'));
+  assert.strictEqual(endpointByLabel(pool, 'wrong.example'), null);
+  assert.strictEqual(endpointByLabel(pool, 'down.example'), null);
+
+  const status = pool.getStatus();
+  assert.strictEqual(status.find(endpoint => endpoint.endpoint === 'wrong.example').healthy, false);
+  assert.match(status.find(endpoint => endpoint.endpoint === 'wrong.example').ejectionReason, /chain id 5/);
+});
+
+test('fails when no endpoint serves the configured chain', async (t) => {
+  await assert.rejects(createPool(t, ['wrong.example']), /No testnet RPC endpoint serves chain id 1/);
+});
+
+test('halves the log range of an endpoint that rejected a query for its size', async (t) => {
+  const pool = await createPool(t, ['good.example']);
+  const endpoint = endpointByLabel(pool, 'good.example');
+
+  assert.strictEqual(pool.recordRangeLimit(endpoint, MAX_LOG_RANGE), true);
+  assert.strictEqual(endpoint.logRange, 1000);
+  assert.strictEqual(pool.getLogRange(), 1000);
+
+  // A rejection of a range already above the limit does not grow it back
+  pool.recordRangeLimit(endpoint, MAX_LOG_RANGE);
+  assert.strictEqual(endpoint.logRange, 1000);
+
+  // Ranges are never split below the minimum
+  pool.recordRangeLimit(endpoint, 15);
+  assert.strictEqual(endpoint.logRange, 10);
+  assert.strictEqual(pool.recordRangeLimit(endpoint, 10), false);
+  assert.strictEqual(endpoint.logRange, 10);
+});
+
+test('grows the log range after enough successful queries at the limit', async (t) => {
+  const pool = await createPool(t, ['good.example']);
+  const endpoint = endpointByLabel(pool, 'good.example');
+  pool.recordRangeLimit(endpoint, MAX_LOG_RANGE);
+
+  // Queries below the limit say nothing about a larger range
+  for (let i = 0; i < 10; i++) {
+    pool.recordRangeSuccess(endpoint, 500);
+  }
+  assert.strictEqual(endpoint.logRange, 1000);
+
+  for (let i = 0; i < 5; i++) {
+    pool.recordRangeSuccess(endpoint, 1000);
+  }
+  assert.strictEqual(endpoint.logRange, 1500);
+
+  for (let i = 0; i < 5; i++) {
+    pool.recordRangeSuccess(endpoint, 1500);
+  }
+  assert.strictEqual(endpoint.logRange, MAX_LOG_RANGE);
+});
+
+test('sizes log ranges from verified endpoints only', async (t) => {
+  const pool = await createPool(t, ['good.example', 'down.example']);
+  const endpoint = endpointByLabel(pool, 'good.example');
+
+  // The unreachable endpoint still has the full range, but select() cannot pick it
+  pool.recordRangeLimit(endpoint, MAX_LOG_RANGE);
+  assert.strictEqual(pool.getLogRange(), 1000);
+  assert.strictEqual(pool.canServeRange(new Set(), MAX_LOG_RANGE), false);
+  assert.strictEqual(pool.canServeRange(new Set(), 1000), true);
+});
+
+test('sizes log ranges from endpoints that are not ejected', async (t) => {
+  const pool = await createPool(t, ['fast.example', 'slow.example']);
+  const fast = endpointByLabel(pool, 'fast.example');
+  const slow = endpointByLabel(pool, 'slow.example');
+
+  pool.recordRangeLimit(slow, MAX_LOG_RANGE);
+  for (let i = 0; i < 3; i++) {
+    pool.recordFailure(fast, new Error('timeout'));
+  }
+
+  assert.strictEqual(pool.getLogRange(), 1000);
+  assert.strictEqual(pool.select(), slow);
+
+  // With every endpoint ejected, the ejected ones still count
+  for (let i = 0; i < 3; i++) {
+    pool.recordFailure(slow, new Error('timeout'));
+  }
+  assert.strictEqual(pool.getLogRange(), MAX_LOG_RANGE);
+});
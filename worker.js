@@ -1,28 +1,52 @@
 // worker.js
 require('dotenv').config();
+const os = require('os');
 const db = require('./src/db');
 const blockchainService = require('./src/services/blockchain');
+const { queueBackfill, processBackfill, getBackfillStatus } = require('./src/services/backfill');
+const realtime = require('./src/services/realtime');
+const { createCounter, createGauge, startMetricsServer } = require('./src/services/metrics');
+const { createLogger } = require('./src/services/logger');
+const alerts = require('./src/services/alerts');
 
-// Block processing configuration
-const CATCHUP_BATCH_SIZE = 5000;   // Larger batch size when catching up
+const logger = createLogger('worker');
+
+// Block processing configuration - catching up uses the log range the RPC endpoints accept
 const REALTIME_BATCH_SIZE = 100;   // Smaller batch size for frequent updates
-const RECENT_HISTORY_BLOCKS = 100000;  // How far back to jump if needed
+const RECENT_HISTORY_BLOCKS = 100000;  // How far back to jump if needed (or start, without a known deploy block)
 const MAX_ACCEPTABLE_GAP = 500000; // Gap threshold for jump-ahead
 const REALTIME_THRESHOLD = 200;    // Consider caught up if within this many blocks
 
+// Daemon configuration - pause between runs depends on whether any network is still catching up
+const DAEMON_MODE = process.argv.includes('--daemon') || process.env.WORKER_MODE === 'daemon';
+const CATCHUP_INTERVAL_MS = parseInt(process.env.WORKER_CATCHUP_INTERVAL_MS) || 1000;
+const REALTIME_INTERVAL_MS = parseInt(process.env.WORKER_REALTIME_INTERVAL_MS) || 15000;
+const ERROR_INTERVAL_MS = parseInt(process.env.WORKER_ERROR_INTERVAL_MS) || 30000;
+const WORKER_ID = process.env.WORKER_ID || os.hostname();
+
+// Realtime mode - 'websocket' subscribes to heads and contract logs on networks with a ws URL
+// and wakes the daemon on activity; polling continues for uncovered or disconnected networks
+const WEBSOCKET_MODE = process.env.REALTIME_MODE === 'websocket';
+const WS_FULL_RUN_INTERVAL_MS = parseInt(process.env.WORKER_WS_INTERVAL_MS) || 60000; // Safety poll while every network has a live log subscription
+
+// Prometheus /metrics of the daemon (0 disables it)
+const METRICS_PORT = parseInt(process.env.WORKER_METRICS_PORT || '9464');
+
+// Finality configuration - when false, only blocks past the confirmation depth are indexed
+const INDEX_UNCONFIRMED = process.env.INDEX_UNCONFIRMED !== 'false';
+
 // Logging configuration - change to false for production
 const VERBOSE_LOGGING = process.env.NODE_ENV !== 'production';
 const LOG_STATS_ONLY = !VERBOSE_LOGGING;
-const ALWAYS_LOG_ERRORS = true;
 
-// Logging helper
+// Logging helper - forced messages log at info, the rest at debug (hidden in production)
 function log(message, type = 'info', force = false) {
-  if (force || VERBOSE_LOGGING || (type === 'error' && ALWAYS_LOG_ERRORS)) {
-    if (type === 'error') {
-      console.error(`[${new Date().toISOString()}] ERROR: ${message}`);
-    } else {
-      console.log(`[${new Date().toISOString()}] ${message}`);
-    }
+  if (type === 'error') {
+    logger.error(message);
+  } else if (force) {
+    logger.info(message);
+  } else {
+    logger.debug(message);
   }
 }
 
@@ -33,11 +57,35 @@ let totalNetworksProcessed = 0;
 let networksInRealtimeMode = 0;
 let startTime;
 
-// Initialize blockchain service
+// Prometheus metrics
+const indexedBlockGauge = createGauge('fundit_indexer_indexed_block', 'Last block indexed per network', ['network']);
+const chainHeadGauge = createGauge('fundit_indexer_chain_head', 'Chain head per network at the last run', ['network']);
+const lagGauge = createGauge('fundit_indexer_lag_blocks', 'Blocks between the chain head and the last indexed block', ['network']);
+const networkErrors = createCounter('fundit_indexer_network_errors_total', 'Indexing runs of a network that failed', ['network']);
+
+async function recordNetworkProgress(network, indexedBlock, chainHead, synced) {
+  const lagBlocks = Math.max(0, chainHead - indexedBlock);
+  indexedBlockGauge.set({ network }, indexedBlock);
+  chainHeadGauge.set({ network }, chainHead);
+  lagGauge.set({ network }, lagBlocks);
+  await alerts.checkIndexerLag(network, lagBlocks, synced);
+}
+
+// Daemon state
+let servicesInitialized = false;
+let shuttingDown = false;
+let wakeUp = null;
+
+// Initialize blockchain service (only once per process)
 function initializeServices() {
+  if (servicesInitialized) {
+    return true;
+  }
+  
   log('Initializing blockchain service...');
   try {
     blockchainService.initialize();
+    servicesInitialized = true;
     return true;
   } catch (error) {
     log(`Failed to initialize blockchain service: ${error.message}`, 'error', true);
@@ -47,7 +95,26 @@ function initializeServices() {
     return false;
   }
 }
-async function processNetworks() {
+
+// Where a chain's history starts: the configured deploy block, else the block the
+// first contract deployment was discovered at, else only recent history
+async function resolveStartBlock(network, config, targetBlock) {
+  if (config.deployBlock !== null) {
+    return { block: config.deployBlock, source: 'config' };
+  }
+  
+  try {
+    const block = await blockchainService.findDeployBlock(network, config.deployments[0].address, targetBlock);
+    return { block, source: 'discovered' };
+  } catch (error) {
+    const block = Math.max(1, targetBlock - RECENT_HISTORY_BLOCKS);
+    log(`${network}: Could not discover the deploy block (${error.message}), starting from recent history at block ${block}. Set the deployment's startBlock to index the full history.`, 'error', true);
+    return { block, source: 'recent-history' };
+  }
+}
+
+// options.networks limits the run to networks with subscribed activity (skipping backfill)
+async function processNetworks(options = {}) {
   startTime = Date.now();
   log('Starting indexing process...', 'info', LOG_STATS_ONLY);
   
@@ -65,35 +132,46 @@ async function processNetworks() {
     }
     
     // Get last indexed blocks
-    const result = await db.query('SELECT chain, last_indexed_block FROM indexer_state');
+    const result = await db.query('SELECT chain, last_indexed_block, synced_at FROM indexer_state');
     const lastIndexedBlocks = {};
+    const syncedNetworks = new Set();
     
     result.rows.forEach(row => {
       lastIndexedBlocks[row.chain] = parseInt(row.last_indexed_block);
+      if (row.synced_at) {
+        syncedNetworks.add(row.chain);
+      }
     });
     
     // Process each network
-    const { NETWORKS, providers, indexNetwork } = blockchainService;
+    const { NETWORKS, providers, indexNetwork, getChainHead, getLogRange, getFinalizedBlock, confirmBlocks, getMetrics, matchCrossChainDonations } = blockchainService;
     const networkCount = Object.keys(NETWORKS).length;
     let networksProcessed = 0;
     
     for (const [network, config] of Object.entries(NETWORKS)) {
-      // Skip networks without providers
-      if (!providers[network]) {
-        log(`Provider for ${network} is not available, skipping...`, 'info', VERBOSE_LOGGING);
+      // Stop picking up new networks once shutdown has been requested
+      if (shuttingDown) {
+        log('Shutdown requested, skipping remaining networks', 'info', true);
+        break;
+      }
+      
+      if (options.networks && !options.networks.includes(network)) {
         continue;
       }
       
-      // For non-main chains, skip completely since we only care about main chain events
-      if (!config.isMain) {
-        log(`${network} is not the main chain, skipping completely`, 'info', VERBOSE_LOGGING);
-        networksProcessed++;
+      // Skip networks without providers
+      if (!(network in providers)) {
+        log(`Provider for ${network} is not available, skipping...`, 'info', VERBOSE_LOGGING);
         continue;
       }
       
       try {
-        const provider = providers[network];
-        const currentBlock = await provider.getBlockNumber();
+        // Best head across the network's RPC endpoints (also ejects lagging ones)
+        const currentBlock = await getChainHead(network);
+        const finalizedBlock = await getFinalizedBlock(network, currentBlock);
+        
+        // Index up to the chain head (rows flagged unconfirmed) or only up to the finalized block
+        const targetBlock = INDEX_UNCONFIRMED ? currentBlock : finalizedBlock;
         
         // Determine starting block
         let fromBlock;
@@ -102,7 +180,7 @@ async function processNetworks() {
         
         if (lastIndexedBlocks[network] !== undefined) {
           // Calculate gap between current and last indexed
-          const gap = currentBlock - lastIndexedBlocks[network];
+          const gap = targetBlock - lastIndexedBlocks[network];
           
           // If gap is very small, we're in realtime mode
           if (gap <= REALTIME_THRESHOLD) {
@@ -110,43 +188,61 @@ async function processNetworks() {
             networksInRealtimeMode++;
           }
           
-          // If gap is too large, jump ahead to more recent blocks
-          if (gap > MAX_ACCEPTABLE_GAP) {
+          // If gap is too large, jump ahead to more recent blocks. Never during the
+          // initial sync, which has to build the history in order
+          if (gap > MAX_ACCEPTABLE_GAP && syncedNetworks.has(network)) {
             const oldFromBlock = lastIndexedBlocks[network] + 1;
-            fromBlock = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
+            fromBlock = Math.max(1, targetBlock - RECENT_HISTORY_BLOCKS);
             jumpedAhead = true;
             
-            log(`${network}: Gap too large (${gap} blocks). Jumping ahead from block ${oldFromBlock} to ${fromBlock}`, 'info', true);
+            log(`${network}: Gap too large (${gap} blocks). Jumping ahead from block ${oldFromBlock} to ${fromBlock}, skipped range queued for backfill`, 'info', true);
             
-            // Update the last indexed block in database to reflect our jump
-            await db.query(
-              'UPDATE indexer_state SET last_indexed_block = $1, updated_at = NOW() WHERE chain = $2',
-              [fromBlock - 1, network]
-            );
+            // Queue the skipped range and move the cursor past it together
+            await db.withTransaction(async (client) => {
+              await queueBackfill(client, network, oldFromBlock, fromBlock - 1, 'gap-jump-ahead');
+              await client.query(
+                'UPDATE indexer_state SET last_indexed_block = $1, updated_at = NOW() WHERE chain = $2',
+                [fromBlock - 1, network]
+              );
+            });
           } else {
             // Normal case - continue from the next block
             fromBlock = lastIndexedBlocks[network] + 1;
           }
         } else {
-          // First time indexing this chain - start from recent history
-          fromBlock = Math.max(1, currentBlock - RECENT_HISTORY_BLOCKS);
-          log(`${network}: First-time indexing, starting from block ${fromBlock}`, 'info', true);
+          // First time indexing this chain - start from the contract's deploy block
+          const start = await resolveStartBlock(network, config, targetBlock);
+          fromBlock = start.block;
+          
+          await db.query(
+            `INSERT INTO indexer_state (
+              chain, last_indexed_block, start_block, start_block_source, sync_started_at, updated_at
+            ) VALUES ($1, $2, $3, $4, NOW(), NOW())
+            ON CONFLICT (chain) DO NOTHING`,
+            [network, fromBlock - 1, fromBlock, start.source]
+          );
+          
+          log(`${network}: First-time indexing, starting from block ${fromBlock} (${start.source})`, 'info', true);
         }
         
         // Safety check - don't go beyond current block
-        if (fromBlock > currentBlock) {
+        if (fromBlock > targetBlock) {
           log(`${network}: No new blocks to index`, 'info', VERBOSE_LOGGING);
+          realtime.markIndexed(network, fromBlock - 1);
+          await recordNetworkProgress(network, fromBlock - 1, currentBlock, syncedNetworks.has(network));
+          await confirmBlocks(network, finalizedBlock, currentBlock);
+          await alerts.recordIndexingSuccess(network);
           networksProcessed++;
           continue;
         }
         
         // Choose appropriate batch size based on how close we are to the current block
-        const batchSize = realtimeMode ? REALTIME_BATCH_SIZE : CATCHUP_BATCH_SIZE;
+        const batchSize = realtimeMode ? REALTIME_BATCH_SIZE : Math.max(REALTIME_BATCH_SIZE, getLogRange(network));
         
-        log(`${network}: ${realtimeMode ? 'REALTIME' : 'CATCHUP'} mode, last indexed: ${lastIndexedBlocks[network] || 'none'}, current: ${currentBlock}`, 'info', VERBOSE_LOGGING);
+        log(`${network}: ${realtimeMode ? 'REALTIME' : 'CATCHUP'} mode, last indexed: ${lastIndexedBlocks[network] || 'none'}, current: ${currentBlock}, finalized: ${finalizedBlock}`, 'info', VERBOSE_LOGGING);
         
         // Calculate batch size and end block
-        const blocksToProcess = Math.min(currentBlock - fromBlock + 1, batchSize);
+        const blocksToProcess = Math.min(targetBlock - fromBlock + 1, batchSize);
         const toBlock = fromBlock + blocksToProcess - 1;
         
         // Only log the range if verbose or processing significant blocks
@@ -154,16 +250,29 @@ async function processNetworks() {
           log(`${network}: Indexing from block ${fromBlock} to ${toBlock} (${blocksToProcess} blocks)`, 'info', VERBOSE_LOGGING);
         }
         
-        // Index the network
-        const metrics = await indexNetwork(network, fromBlock, toBlock);
+        // Index the network, stopping after the current chunk if shutdown is requested
+        const lastProcessedBlock = await indexNetwork(network, fromBlock, toBlock, {
+          shouldStop: () => shuttingDown,
+          finalizedBlock
+        });
+        const metrics = getMetrics();
+        realtime.markIndexed(network, lastProcessedBlock);
+        await recordNetworkProgress(network, lastProcessedBlock, currentBlock, syncedNetworks.has(network));
+        
+        // The initial sync is done once the cursor first reaches the head
+        if (!syncedNetworks.has(network) && targetBlock - lastProcessedBlock <= REALTIME_THRESHOLD) {
+          await db.query('UPDATE indexer_state SET synced_at = NOW() WHERE chain = $1', [network]);
+          log(`${network}: Initial sync completed at block ${lastProcessedBlock}`, 'info', true);
+        }
+        
+        // Flag everything that has now passed the finality point as confirmed
+        await confirmBlocks(network, finalizedBlock, currentBlock);
         
         // Update stats
         totalBlocksProcessed += blocksToProcess;
         if (metrics && metrics.eventsProcessed) {
-          const networkEvents = 
-            (metrics.eventsProcessed.campaigns || 0) + 
-            (metrics.eventsProcessed.donations || 0) + 
-            (metrics.eventsProcessed.withdrawals || 0);
+          const networkEvents = Object.values(metrics.eventsProcessed)
+            .reduce((sum, count) => sum + (count || 0), 0);
           totalEventsProcessed += networkEvents;
           
           // Log only if events were found (important info)
@@ -172,20 +281,50 @@ async function processNetworks() {
           }
         }
         
+        await alerts.recordIndexingSuccess(network);
         networksProcessed++;
         totalNetworksProcessed++;
       } catch (networkError) {
+        networkErrors.inc({ network });
         log(`Error processing ${network}: ${networkError.message}`, 'error', true);
         if (VERBOSE_LOGGING) {
           log(networkError.stack, 'error');
         }
+        await alerts.recordIndexingFailure(network, networkError);
+      }
+    }
+    
+    // Backfill skipped ranges with whatever is left of this run (lower priority than realtime)
+    let backfill = null;
+    if (!shuttingDown && !options.networks) {
+      backfill = await processBackfill({ shouldStop: () => shuttingDown });
+      if (backfill && !backfill.error) {
+        totalBlocksProcessed += backfill.toBlock - backfill.fromBlock + 1;
       }
     }
     
+    // Link relayed donations to the main-chain donations they produced, once per run
+    // after every network (and backfill) has been indexed
+    try {
+      await matchCrossChainDonations();
+    } catch (error) {
+      log(`Failed to match cross-chain donations: ${error.message}`, 'error', true);
+    }
+    
     // Log a summary of what was done - always log this
     const duration = ((Date.now() - startTime) / 1000).toFixed(2);
     log(`Indexing completed: Processed ${totalBlocksProcessed} blocks across ${totalNetworksProcessed} networks in ${duration}s (${networksInRealtimeMode} in realtime mode, ${totalEventsProcessed} events found)`, 'info', true);
     
+    return {
+      blocksProcessed: totalBlocksProcessed,
+      eventsProcessed: totalEventsProcessed,
+      networksProcessed: totalNetworksProcessed,
+      networksInRealtimeMode,
+      backfill,
+      catchingUp: totalNetworksProcessed > networksInRealtimeMode || Boolean(backfill && !backfill.error),
+      durationMs: Date.now() - startTime
+    };
+    
   } catch (error) {
     log(`Indexing process failed: ${error.message}`, 'error', true);
     if (VERBOSE_LOGGING) {
@@ -195,45 +334,137 @@ async function processNetworks() {
   }
 }
 
+// Share of the chain's history (from its start block) that has been indexed
+function syncProgress(lastIndexed, currentBlock) {
+  const startBlock = lastIndexed.startBlock !== null ? lastIndexed.startBlock : 0;
+  const totalBlocks = currentBlock - startBlock + 1;
+  const indexedBlocks = lastIndexed.lastBlock - startBlock + 1;
+  
+  if (totalBlocks <= 0 || indexedBlocks <= 0) return '0%';
+  return Math.min(100, (indexedBlocks / totalBlocks) * 100).toFixed(2) + '%';
+}
+
+// Initial sync from the start block: where it started, and an ETA at the rate so far
+function initialSyncStatus(lastIndexed, currentBlock) {
+  const status = {
+    startBlock: lastIndexed.startBlock,
+    startBlockSource: lastIndexed.startBlockSource,
+    startedAt: lastIndexed.syncStartedAt,
+    completed: Boolean(lastIndexed.syncedAt),
+    completedAt: lastIndexed.syncedAt
+  };
+  
+  if (status.completed || lastIndexed.startBlock === null || !lastIndexed.syncStartedAt) {
+    return status;
+  }
+  
+  const blocksIndexed = lastIndexed.lastBlock - lastIndexed.startBlock + 1;
+  const blocksRemaining = Math.max(0, currentBlock - lastIndexed.lastBlock);
+  const elapsedSeconds = (Date.now() - new Date(lastIndexed.syncStartedAt).getTime()) / 1000;
+  const blocksPerSecond = elapsedSeconds > 0 && blocksIndexed > 0 ? blocksIndexed / elapsedSeconds : null;
+  
+  return {
+    ...status,
+    blocksRemaining,
+    blocksPerSecond: blocksPerSecond !== null ? Number(blocksPerSecond.toFixed(2)) : null,
+    estimatedSecondsRemaining: blocksPerSecond ? Math.round(blocksRemaining / blocksPerSecond) : null,
+    estimatedCompletion: blocksPerSecond ?
+      new Date(Date.now() + (blocksRemaining / blocksPerSecond) * 1000) :
+      null
+  };
+}
+
 // Get chain-specific stats for frontend display
 async function getIndexerStatus() {
   try {
     const status = {};
-    const { NETWORKS, providers } = blockchainService;
+    const { NETWORKS } = blockchainService;
     
     // Get last indexed blocks
-    const result = await db.query('SELECT chain, last_indexed_block, updated_at FROM indexer_state');
+    const result = await db.query(
+      `SELECT chain, last_indexed_block, chain_head, finalized_block, start_block, start_block_source,
+        sync_started_at, synced_at, updated_at
+       FROM indexer_state`
+    );
     const lastIndexedData = {};
     
     result.rows.forEach(row => {
       lastIndexedData[row.chain] = {
         lastBlock: parseInt(row.last_indexed_block),
+        chainHead: row.chain_head !== null ? parseInt(row.chain_head) : null,
+        finalizedBlock: row.finalized_block !== null ? parseInt(row.finalized_block) : null,
+        startBlock: row.start_block !== null ? parseInt(row.start_block) : null,
+        startBlockSource: row.start_block_source,
+        syncStartedAt: row.sync_started_at,
+        syncedAt: row.synced_at,
         lastUpdated: row.updated_at
       };
     });
     
-    // Get current block for each chain
+    // Get RPC endpoint health recorded by the worker
+    const rpcResult = await db.query('SELECT * FROM rpc_endpoint_health ORDER BY chain, score');
+    const rpcEndpoints = {};
+    
+    rpcResult.rows.forEach(row => {
+      if (!rpcEndpoints[row.chain]) {
+        rpcEndpoints[row.chain] = [];
+      }
+      
+      rpcEndpoints[row.chain].push({
+        endpoint: row.endpoint,
+        healthy: row.healthy,
+        score: row.score,
+        latencyMs: row.latency_ms,
+        errorRate: row.error_rate !== null ? parseFloat(row.error_rate) : null,
+        requests: row.requests,
+        failures: row.failures,
+        blockNumber: row.block_number !== null ? parseInt(row.block_number) : null,
+        blockLag: row.block_lag,
+        lastError: row.last_error,
+        lastErrorAt: row.last_error_at,
+        ejectedUntil: row.ejected_until,
+        ejectionReason: row.ejection_reason,
+        updatedAt: row.updated_at
+      });
+    });
+    
+    // Get pending backfill work per chain
+    const backfillStatus = await getBackfillStatus();
+    
+    // Serve the chain head the worker last stored instead of asking the RPC endpoints
+    // on every request
     for (const [network, config] of Object.entries(NETWORKS)) {
-      if (!providers[network]) continue;
+      const lastIndexed = lastIndexedData[network] || { lastBlock: 0, chainHead: null, finalizedBlock: null, startBlock: null, lastUpdated: null };
+      if (lastIndexed.chainHead === null) continue;
       
-      try {
-        const currentBlock = await providers[network].getBlockNumber();
-        const lastIndexed = lastIndexedData[network] || { lastBlock: 0, lastUpdated: null };
-        const blocksRemaining = currentBlock - lastIndexed.lastBlock;
-        
-        status[network] = {
-          currentBlock,
-          lastIndexedBlock: lastIndexed.lastBlock,
-          blocksRemaining,
-          lastUpdated: lastIndexed.lastUpdated,
-          syncStatus: lastIndexed.lastBlock > 0 ? 
-            ((lastIndexed.lastBlock / currentBlock) * 100).toFixed(2) + '%' : '0%',
-          isRealtime: blocksRemaining <= REALTIME_THRESHOLD
-        };
-      } catch (error) {
-        log(`Error getting status for ${network}: ${error.message}`, 'error', true);
-        status[network] = { error: error.message };
-      }
+      const currentBlock = lastIndexed.chainHead;
+      const blocksRemaining = currentBlock - lastIndexed.lastBlock;
+      
+      status[network] = {
+        chainId: config.chainId,
+        eid: config.eid,
+        role: config.role,
+        nativeToken: config.nativeToken,
+        deployments: config.deployments.map(deployment => ({
+          id: deployment.id,
+          address: deployment.address,
+          abiVersion: deployment.abiVersion,
+          startBlock: deployment.startBlock,
+          endBlock: deployment.endBlock
+        })),
+        currentBlock,
+        lastIndexedBlock: lastIndexed.lastBlock,
+        blocksRemaining,
+        finalizedBlock: lastIndexed.finalizedBlock,
+        confirmations: config.confirmations,
+        finalityTag: config.finalityTag,
+        lastUpdated: lastIndexed.lastUpdated,
+        syncStatus: syncProgress(lastIndexed, currentBlock),
+        initialSync: initialSyncStatus(lastIndexed, currentBlock),
+        isRealtime: blocksRemaining <= REALTIME_THRESHOLD,
+        backfill: backfillStatus[network] || { openRanges: 0, blocksRemaining: 0, ranges: [] },
+        rpcEndpoints: rpcEndpoints[network] || []
+      };
     }
     
     return status;
@@ -243,17 +474,157 @@ async function getIndexerStatus() {
   }
 }
 
+// Record that this worker is alive, with the outcome of its last run
+async function recordHeartbeat(status, summary = null) {
+  try {
+    await db.query(
+      `INSERT INTO worker_heartbeats (
+        worker_id, mode, status, pid, started_at, last_heartbeat, last_run_duration_ms, details
+      ) VALUES ($1, $2, $3, $4, NOW(), NOW(), $5, $6)
+      ON CONFLICT (worker_id) DO UPDATE SET
+        mode = $2,
+        status = $3,
+        pid = $4,
+        last_heartbeat = NOW(),
+        last_run_duration_ms = $5,
+        details = $6`,
+      [
+        WORKER_ID,
+        DAEMON_MODE ? 'daemon' : 'oneshot',
+        status,
+        process.pid,
+        summary ? summary.durationMs : null,
+        summary ? JSON.stringify(summary) : null
+      ]
+    );
+  } catch (error) {
+    log(`Failed to record heartbeat: ${error.message}`, 'error', true);
+  }
+}
+
+// Sleep that can be cut short by a shutdown request or subscription activity
+function sleep(ms) {
+  return new Promise(resolve => {
+    const timer = setTimeout(() => {
+      wakeUp = null;
+      resolve();
+    }, ms);
+    
+    wakeUp = () => {
+      clearTimeout(timer);
+      wakeUp = null;
+      resolve();
+    };
+  });
+}
+
+// Finish the current chunk, then exit; a second signal exits immediately
+function handleShutdownSignal(signal) {
+  if (shuttingDown) {
+    log(`Received ${signal} again, exiting immediately`, 'error', true);
+    process.exit(1);
+  }
+  
+  log(`Received ${signal}, finishing current chunk before shutting down...`, 'info', true);
+  shuttingDown = true;
+  
+  if (wakeUp) {
+    wakeUp();
+  }
+}
+
+// Run continuously, adapting the pause between runs to catch-up or realtime mode
+async function runDaemon() {
+  process.on('SIGTERM', () => handleShutdownSignal('SIGTERM'));
+  process.on('SIGINT', () => handleShutdownSignal('SIGINT'));
+  
+  log(`Worker ${WORKER_ID} starting in daemon mode${WEBSOCKET_MODE ? ' with WebSocket subscriptions' : ''}`, 'info', true);
+  await recordHeartbeat('starting');
+  
+  const metricsServer = METRICS_PORT > 0 ?
+    startMetricsServer(METRICS_PORT, (message, type) => log(message, type, true)) :
+    null;
+  
+  // Subscription activity cuts the pause short
+  if (WEBSOCKET_MODE && initializeServices()) {
+    const subscribed = realtime.startRealtime(blockchainService.NETWORKS, {
+      subscribeLogs: INDEX_UNCONFIRMED,
+      onActivity: () => {
+        if (wakeUp && !shuttingDown) {
+          wakeUp();
+        }
+      }
+    });
+    if (subscribed === 0) {
+      log('REALTIME_MODE=websocket but no network has a ws URL configured, polling only', 'error', true);
+    }
+  }
+  
+  // Full runs cover every network (and backfill) on the polling schedule; in between,
+  // a wake-up from a subscription only indexes the networks that saw activity
+  let nextFullRunAt = 0;
+  
+  while (!shuttingDown) {
+    const fullRun = Date.now() >= nextFullRunAt;
+    const activeNetworks = fullRun ? null : realtime.takeActiveNetworks();
+    
+    try {
+      if (fullRun || activeNetworks.length > 0) {
+        const summary = await processNetworks(fullRun ? {} : { networks: activeNetworks });
+        await recordHeartbeat('running', WEBSOCKET_MODE ? { ...summary, realtime: realtime.getRealtimeStatus() } : summary);
+        
+        if (fullRun) {
+          let interval = summary.catchingUp ? CATCHUP_INTERVAL_MS : REALTIME_INTERVAL_MS;
+          if (!summary.catchingUp && realtime.isRealtimeHealthy(Object.keys(blockchainService.providers))) {
+            interval = WS_FULL_RUN_INTERVAL_MS;
+          }
+          nextFullRunAt = Date.now() + interval;
+        }
+      }
+    } catch (error) {
+      log(`Indexing run failed, retrying in ${ERROR_INTERVAL_MS}ms: ${error.message}`, 'error', true);
+      await recordHeartbeat('error', { error: error.message, durationMs: Date.now() - startTime });
+      nextFullRunAt = Date.now() + ERROR_INTERVAL_MS;
+    }
+    
+    // Activity the HTTP endpoints had not caught up with yet is retried shortly
+    if (!shuttingDown) {
+      const untilFullRun = Math.max(0, nextFullRunAt - Date.now());
+      await sleep(realtime.hasPendingActivity() ? Math.min(CATCHUP_INTERVAL_MS, untilFullRun) : untilFullRun);
+    }
+  }
+  
+  realtime.stopRealtime();
+  if (metricsServer) {
+    metricsServer.close();
+  }
+  await recordHeartbeat('stopped');
+  log(`Worker ${WORKER_ID} stopped`, 'info', true);
+  await db.close();
+}
+
 // Run if executed directly
 if (require.main === module) {
-  processNetworks()
-    .then(() => {
-      log('Worker execution complete', 'info', LOG_STATS_ONLY);
-      process.exit(0);
-    })
-    .catch(error => {
-      log(`Worker execution failed: ${error.message}`, 'error', true);
-      process.exit(1);
-    });
+  if (DAEMON_MODE) {
+    runDaemon()
+      .then(() => process.exit(0))
+      .catch(error => {
+        log(`Worker daemon failed: ${error.message}`, 'error', true);
+        process.exit(1);
+      });
+  } else {
+    processNetworks()
+      .then(summary => recordHeartbeat('completed', summary))
+      .then(() => {
+        log('Worker execution complete', 'info', LOG_STATS_ONLY);
+        process.exit(0);
+      })
+      .catch(async error => {
+        log(`Worker execution failed: ${error.message}`, 'error', true);
+        await recordHeartbeat('error', { error: error.message });
+        process.exit(1);
+      });
+  }
 }
 
 module.exports = { 